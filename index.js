@@ -1,37 +1,24 @@
 require("dotenv").config();
+const crypto = require("crypto");
 const express = require("express");
 const cors = require("cors");
-const { MongoClient, ServerApiVersion, ObjectId } = require("mongodb");
-const admin = require("firebase-admin");
-const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+const { ObjectId } = require("mongodb");
+const { parseCsvRows, streamCsv } = require("./utils/csv");
+const {
+  ACTIVE_ASSIGNMENT_STATUSES,
+  reconcileCounters,
+} = require("./utils/reconcile");
+const { providersFromEnv } = require("./providers");
 
 const port = process.env.PORT || 5000;
-const decoded = Buffer.from(process.env.FB_SERVICE_KEY, "base64").toString(
-  "utf-8"
-);
-const serviceAccount = JSON.parse(decoded);
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount),
-});
-
-const app = express();
-
-// middleware
-app.use(
-  cors({
-    origin: [process.env.CLIENT_DOMAIN, "http://localhost:5173"],
-    credentials: true,
-  })
-);
-app.use(express.json());
 
 // jwt middlewares
-const verifyJWT = async (req, res, next) => {
+const makeVerifyJWT = (identity) => async (req, res, next) => {
   const token = req?.headers?.authorization?.split(" ")[1];
   if (!token) return res.status(401).send({ message: "Unauthorized Access!" });
   try {
-    const decoded = await admin.auth().verifyIdToken(token);
-    req.tokenEmail = decoded.email;
+    const { email } = await identity.verifyToken(token);
+    req.tokenEmail = email;
     next();
   } catch (err) {
     console.log(err);
@@ -39,19 +26,532 @@ const verifyJWT = async (req, res, next) => {
   }
 };
 
-// Create a MongoClient with a MongoClientOptions object to set the Stable API version
-const client = new MongoClient(process.env.MONGODB_URI, {
-  serverApi: {
-    version: ServerApiVersion.v1,
-    strict: true,
-    deprecationErrors: true,
-  },
-});
-async function run() {
-  try {
-    const db = client.db("assetsDB");
+// Open /notifications/stream responses per user email, one registry per app.
+// Lives in process memory, so each server instance only reaches its own
+// connections.
+const createStreamClients = () => {
+  const clients = new Map();
+
+  return {
+    add: (email, res) => {
+      if (!clients.has(email)) clients.set(email, new Set());
+      clients.get(email).add(res);
+    },
+
+    remove: (email, res) => {
+      const open = clients.get(email);
+      if (!open) return;
+      open.delete(res);
+      if (!open.size) clients.delete(email);
+    },
+
+    push: (email, notification) => {
+      const open = clients.get(email);
+      if (!open) return;
+      const payload = `event: notification\ndata: ${JSON.stringify(
+        notification
+      )}\n\n`;
+      open.forEach((res) => res.write(payload));
+    },
+
+    // ends every open stream; their close handlers unregister them
+    closeAll: () => {
+      clients.forEach((open) => open.forEach((res) => res.end()));
+      clients.clear();
+    },
+  };
+};
+
+// Thrown inside route logic to end the request with a specific status.
+// details, when given, is sent alongside the message.
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// page/limit query params -> skip/limit, capped so a client cannot ask for
+// the whole collection
+const parsePagination = (query, defaultLimit = 10) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || defaultLimit, 1),
+    100
+  );
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const REQUEST_STATUSES = [
+  "pending",
+  "approved",
+  "rejected",
+  "returned",
+  "cancelled",
+];
+
+// from=2025-01-01&to=2025-02-01 -> { $gte, $lte }, or null when neither is set
+const parseDateRange = (query) => {
+  if (!query.from && !query.to) return null;
+
+  const range = {};
+  if (query.from) range.$gte = new Date(query.from);
+  if (query.to) range.$lte = new Date(query.to);
+  if (Object.values(range).some((date) => isNaN(date))) {
+    throw new HttpError(400, "Invalid date filter");
+  }
+  return range;
+};
+
+// status=pending,approved&from=2025-01-01&to=2025-02-01 -> requests filter
+const buildRequestFilters = (query) => {
+  const filter = {};
+
+  if (query.status) {
+    const statuses = String(query.status).split(",");
+    if (statuses.some((status) => !REQUEST_STATUSES.includes(status))) {
+      throw new HttpError(400, "Invalid status filter");
+    }
+    filter.requestStatus = { $in: statuses };
+  }
+
+  const requestDate = parseDateRange(query);
+  if (requestDate) filter.requestDate = requestDate;
+
+  return filter;
+};
+
+// Optional note an HR leaves when approving / rejecting a request
+const readHrNote = (body) =>
+  typeof body?.note === "string" ? body.note.trim().slice(0, 500) : "";
+
+// Shared by POST /assets and the CSV import. Returns { error } or { value }.
+const validateAssetInput = ({
+  productName,
+  productType,
+  quantity,
+  lowStockThreshold,
+}) => {
+  if (!productName || !productType || !quantity) {
+    return { error: "Missing required fields" };
+  }
+
+  const qty = parseInt(quantity, 10);
+  if (isNaN(qty) || qty <= 0) {
+    return { error: "Invalid quantity" };
+  }
+
+  const threshold = parseThreshold(lowStockThreshold);
+  if (isNaN(threshold)) return { error: "Invalid low-stock threshold" };
+
+  return {
+    value: {
+      name: productName,
+      type: productType,
+      quantity: qty,
+      lowStockThreshold: threshold,
+    },
+  };
+};
+
+// Admin package catalogue input. With partial, only the given fields are
+// checked (PATCH). Returns { error } or { value }.
+const validatePackageInput = (body = {}, { partial = false } = {}) => {
+  const value = {};
+  const { name, price, employeeLimit, features } = body;
+
+  if (name !== undefined || !partial) {
+    if (!name || typeof name !== "string") return { error: "Invalid name" };
+    value.name = name.trim();
+  }
+  if (price !== undefined || !partial) {
+    const amount = Number(price);
+    if (!Number.isFinite(amount) || amount < 0)
+      return { error: "Invalid price" };
+    value.price = amount;
+  }
+  if (employeeLimit !== undefined || !partial) {
+    const limit = parseInt(employeeLimit, 10);
+    if (isNaN(limit) || limit <= 0) return { error: "Invalid employee limit" };
+    value.employeeLimit = limit;
+  }
+  if (body.yearlyPrice !== undefined && body.yearlyPrice !== null) {
+    const amount = Number(body.yearlyPrice);
+    if (!Number.isFinite(amount) || amount < 0)
+      return { error: "Invalid yearly price" };
+    value.yearlyPrice = amount;
+  }
+  if (features !== undefined || !partial) {
+    const list = features ?? [];
+    if (!Array.isArray(list) || list.some((f) => typeof f !== "string"))
+      return { error: "Features must be a list of strings" };
+    value.features = list.map((f) => f.trim()).filter(Boolean);
+  }
+
+  return { value };
+};
+
+// Seats a newly registered company gets before buying a package, and what
+// it falls back to when a subscription lapses
+const DEFAULT_PACKAGE_LIMIT = 5;
+
+const BILLING_INTERVALS = ["month", "year"];
+
+// Days a past_due subscription keeps its seats while Stripe retries payment
+const GRACE_PERIOD_DAYS = 7;
+
+// Package price for a billing interval; yearly defaults to 12 months
+const packagePrice = (pkg, interval) =>
+  interval === "year" ? pkg.yearlyPrice ?? pkg.price * 12 : pkg.price;
+
+// Seats a company may use right now. Worked out on read, so a grace period
+// ends on time even if no webhook arrives. Companies migrated from HR
+// accounts that never bought a package (packageLimit 0, which used to mean
+// no limit) are flagged unlimitedSeats and stay unlimited until they buy one;
+// Infinity goes out as null in responses.
+const seatLimit = (company) => {
+  const subscription = company?.subscription;
+  if (!subscription) {
+    if (company?.unlimitedSeats) return Infinity;
+    return company?.packageLimit || DEFAULT_PACKAGE_LIMIT;
+  }
+
+  if (["active", "trialing"].includes(subscription.status)) {
+    return subscription.employeeLimit;
+  }
+  if (
+    subscription.status === "past_due" &&
+    subscription.graceUntil &&
+    new Date(subscription.graceUntil) > new Date()
+  ) {
+    return subscription.employeeLimit;
+  }
+  return DEFAULT_PACKAGE_LIMIT;
+};
+
+const PROFILE_FIELDS = ["name", "profileImage", "dateOfBirth", "position"];
+
+// The only user fields a client may set directly. With strict, any other
+// field is an error instead of being dropped, so a client asking for
+// role/packageLimit finds out. Returns { error } or { value }.
+const readProfileFields = (body = {}, { strict = false } = {}) => {
+  const rejected = Object.keys(body).filter(
+    (key) => !PROFILE_FIELDS.includes(key)
+  );
+  if (strict && rejected.length) {
+    return { error: `Field(s) cannot be updated: ${rejected.join(", ")}` };
+  }
+
+  const value = {};
+  if (body.name !== undefined) {
+    if (typeof body.name !== "string" || body.name.length > 100)
+      return { error: "Invalid name" };
+    value.name = body.name.trim();
+  }
+  if (body.profileImage !== undefined) {
+    if (typeof body.profileImage !== "string")
+      return { error: "Invalid profile image" };
+    value.profileImage = body.profileImage;
+  }
+  if (body.dateOfBirth !== undefined) {
+    const dateOfBirth = body.dateOfBirth ? new Date(body.dateOfBirth) : null;
+    if (dateOfBirth && (isNaN(dateOfBirth) || dateOfBirth > new Date()))
+      return { error: "Invalid date of birth" };
+    value.dateOfBirth = dateOfBirth;
+  }
+  if (body.position !== undefined) {
+    if (typeof body.position !== "string" || body.position.length > 100)
+      return { error: "Invalid position" };
+    value.position = body.position.trim();
+  }
+
+  return { value };
+};
+
+// "Returnable", "returnable", "RETURNABLE" ... but not "Non-returnable"
+const isReturnableType = (type) =>
+  String(type || "")
+    .toLowerCase()
+    .replace(/[^a-z]/g, "") === "returnable";
+
+const RETURN_CONDITIONS = ["good", "damaged", "lost"];
+
+// Assets at or below this many available units count as "low" stock,
+// unless the asset sets its own lowStockThreshold
+const LOW_STOCK_THRESHOLD = 3;
+
+// Optional threshold input: undefined/"" -> the default, bad input -> NaN
+const parseThreshold = (value) => {
+  if (value === undefined || value === null || value === "")
+    return LOW_STOCK_THRESHOLD;
+  const threshold = Number(value);
+  return Number.isInteger(threshold) && threshold >= 0 ? threshold : NaN;
+};
+
+const stockThreshold = (asset) =>
+  asset.lowStockThreshold ?? LOW_STOCK_THRESHOLD;
+
+// Query expression: availableQuantity at or below the asset's own threshold
+const atOrBelowThreshold = {
+  $lte: [
+    "$availableQuantity",
+    { $ifNull: ["$lowStockThreshold", LOW_STOCK_THRESHOLD] },
+  ],
+};
+
+// Alerts still waiting for a restock
+const OPEN_ALERT_STATUSES = ["open", "acknowledged"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest window a shared (bookable) asset can be reserved for
+const MAX_BOOKING_DAYS = 90;
+
+// How often finished bookings are checked for units not handed back
+const OVERDUE_CHECK_MS = 15 * 60 * 1000;
+
+// { startDate, endDate } of a booking request -> { error } or { value }
+const parseBookingWindow = ({ startDate, endDate } = {}) => {
+  if (!startDate || !endDate)
+    return { error: "Start and end dates are required for bookable assets" };
+
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  if (isNaN(start) || isNaN(end)) return { error: "Invalid booking dates" };
+  if (end <= start) return { error: "End date must be after start date" };
+
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  if (start < today) return { error: "Bookings cannot start in the past" };
+  if (end - start > MAX_BOOKING_DAYS * DAY_MS)
+    return { error: `Bookings can last at most ${MAX_BOOKING_DAYS} days` };
+
+  return { value: { start, end } };
+};
+
+// Units of a bookable asset that can be booked: those in maintenance can't
+const bookableCapacity = (asset) =>
+  Math.max(asset.quantity - (asset.maintenanceQuantity || 0), 0);
+
+// Latest date there is: the end of an open-ended window
+const END_OF_TIME = new Date(8.64e15);
+
+// Most bookings holding a unit at the same moment within [start, end)
+const peakOverlap = (bookings, start, end) => {
+  const edges = [];
+  bookings.forEach((booking) => {
+    const from = Math.max(booking.bookingStart, start);
+    const to = Math.min(booking.bookingEnd, end);
+    if (from < to) edges.push([from, 1], [to, -1]);
+  });
+  // a booking ending as another starts does not overlap it
+  edges.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  let current = 0;
+  let peak = 0;
+  edges.forEach(([, delta]) => {
+    current += delta;
+    peak = Math.max(peak, current);
+  });
+  return peak;
+};
+
+const UNIT_STATUSES = ["available", "assigned", "in_repair", "retired"];
+
+// How a maintenance record ends, and the ways stock leaves for good
+const MAINTENANCE_OUTCOMES = ["repaired", "retired", "disposed"];
+const RETIREMENT_OUTCOMES = ["retired", "disposed"];
+
+// Maintenance input shared by opening a record and closing it
+const readMaintenanceFields = (body = {}) => {
+  const value = {};
+  if (body.vendor !== undefined) {
+    if (typeof body.vendor !== "string") return { error: "Invalid vendor" };
+    value.vendor = body.vendor.trim();
+  }
+  if (body.notes !== undefined) {
+    if (typeof body.notes !== "string") return { error: "Invalid notes" };
+    value.notes = body.notes.trim().slice(0, 1000);
+  }
+  if (body.cost !== undefined && body.cost !== null) {
+    const cost = Number(body.cost);
+    if (!Number.isFinite(cost) || cost < 0) return { error: "Invalid cost" };
+    value.cost = cost;
+  }
+  if (body.expectedReturnDate !== undefined) {
+    const date = new Date(body.expectedReturnDate);
+    if (isNaN(date)) return { error: "Invalid expected return date" };
+    value.expectedReturnDate = date;
+  }
+  return { value };
+};
+
+// Status changes an HR can make by hand. "assigned" is only ever set by
+// approval and cleared by a confirmed return.
+const UNIT_TRANSITIONS = {
+  available: ["in_repair", "retired"],
+  in_repair: ["available", "retired"],
+  retired: [],
+  assigned: [],
+};
+
+// One unit of a tracked asset -> { error } or { value }
+const readUnitInput = (body = {}) => {
+  const value = {};
+  for (const field of ["serialNumber", "tag", "notes"]) {
+    if (body[field] === undefined || body[field] === null) continue;
+    if (typeof body[field] !== "string") return { error: `Invalid ${field}` };
+    value[field] = body[field].trim();
+  }
+  if (!value.serialNumber && !value.tag)
+    return { error: "A unit needs a serial number or an asset tag" };
+  return { value };
+};
+
+const DEPRECIATION_METHODS = ["none", "straight_line"];
 
+const MONTH_MS = (365.25 / 12) * DAY_MS;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Optional purchase and depreciation fields, for POST/PATCH /assets and the
+// CSV import. Blank values are skipped; with clearable (PATCH), null clears
+// a field. Returns { error } or { value }.
+const FINANCE_FIELDS = [
+  "purchasePrice",
+  "purchaseDate",
+  "vendor",
+  "warrantyExpiry",
+  "depreciationMethod",
+  "usefulLifeMonths",
+  "salvageValue",
+];
+
+const readFinanceFields = (body = {}, { clearable = false } = {}) => {
+  const value = {};
+
+  for (const field of FINANCE_FIELDS) {
+    const input = body[field];
+    if (input === undefined || input === "") continue;
+    if (input === null) {
+      if (clearable) value[field] = null;
+      continue;
+    }
+
+    switch (field) {
+      case "purchasePrice":
+      case "salvageValue": {
+        const amount = Number(input);
+        if (!Number.isFinite(amount) || amount < 0)
+          return { error: `Invalid ${field}` };
+        value[field] = amount;
+        break;
+      }
+      case "purchaseDate":
+      case "warrantyExpiry": {
+        const date = new Date(input);
+        if (isNaN(date)) return { error: `Invalid ${field}` };
+        value[field] = date;
+        break;
+      }
+      case "vendor":
+        if (typeof input !== "string") return { error: "Invalid vendor" };
+        value.vendor = input.trim();
+        break;
+      case "usefulLifeMonths": {
+        const months = Number(input);
+        if (!Number.isInteger(months) || months <= 0)
+          return { error: "Invalid usefulLifeMonths" };
+        value.usefulLifeMonths = months;
+        break;
+      }
+      case "depreciationMethod":
+        if (!DEPRECIATION_METHODS.includes(input))
+          return {
+            error: `Depreciation method must be one of: ${DEPRECIATION_METHODS.join(
+              ", "
+            )}`,
+          };
+        value.depreciationMethod = input;
+        break;
+    }
+  }
+
+  return { value };
+};
+
+// Straight-line depreciation needs a useful life to spread the cost over
+const depreciationError = (asset) =>
+  asset.depreciationMethod === "straight_line" && !asset.usefulLifeMonths
+    ? "Straight-line depreciation needs usefulLifeMonths"
+    : null;
+
+// Book value of one unit on a date: the purchase price less straight-line
+// depreciation (from the purchase date, down to the salvage value). null
+// when the price was never recorded.
+const unitBookValue = (asset, asOf) => {
+  if (asset.purchasePrice === undefined || asset.purchasePrice === null)
+    return null;
+  const price = asset.purchasePrice;
+  if (asset.depreciationMethod !== "straight_line" || !asset.usefulLifeMonths)
+    return price;
+
+  const salvage = Math.min(asset.salvageValue || 0, price);
+  const start = new Date(asset.purchaseDate || asset.dateAdded);
+  const months = Math.max((asOf - start) / MONTH_MS, 0);
+  const used = Math.min(months / asset.usefulLifeMonths, 1);
+  return roundMoney(price - (price - salvage) * used);
+};
+
+// How long an emailed invitation link stays valid
+const INVITATION_TTL_DAYS = 7;
+
+// How long a /notifications/stream token can wait before it is used
+const STREAM_TOKEN_TTL_MS = 60 * 1000;
+
+// Invitation tokens are only stored hashed, so a database read cannot be
+// turned into a working invite link
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const normalizeEmail = (email) =>
+  typeof email === "string" ? email.trim().toLowerCase() : "";
+
+// Builds the API around injected providers (see providers/):
+//   identity: { verifyToken(token) } resolving to { email }
+//   payments: the slice of the Stripe client the routes call, optionally
+//             with a `router` of development-only routes
+//   database: { client, db } from a connected MongoClient
+const createApp = async ({ identity, payments, database }) => {
+  const app = express();
+  const verifyJWT = makeVerifyJWT(identity);
+  const stripe = payments;
+  const { client, db } = database;
+  const streams = createStreamClients();
+
+  // middleware
+  app.use(
+    cors({
+      origin: [process.env.CLIENT_DOMAIN, "http://localhost:5173"],
+      credentials: true,
+    })
+  );
+  // keep the raw body around so the Stripe webhook can verify its signature
+  app.use(
+    express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    })
+  );
+  if (payments.router) app.use("/dev/payments", payments.router);
+
+  try {
     const usersCollection = db.collection("users");
+    const companiesCollection = db.collection("companies");
     const assetsCollection = db.collection("assets");
     const employeeAffiliationsCollection = db.collection(
       "employeeAffiliations"
@@ -60,15 +560,306 @@ async function run() {
     const assignedAssetsCollection = db.collection("assignedAssets");
     const packagesCollection = db.collection("packages");
     const paymentsCollection = db.collection("payments");
+    const auditLogCollection = db.collection("auditLog");
+    const notificationsCollection = db.collection("notifications");
+    const invitationsCollection = db.collection("invitations");
+    const joinRequestsCollection = db.collection("joinRequests");
+    const assetUnitsCollection = db.collection("assetUnits");
+    const stockAlertsCollection = db.collection("stockAlerts");
+    const maintenanceCollection = db.collection("maintenance");
+    const hrInvitationsCollection = db.collection("hrInvitations");
+    const streamTokensCollection = db.collection("streamTokens");
+
+    // One payment row per Stripe payment intent / checkout session
+    await paymentsCollection.createIndex(
+      { transactionId: 1 },
+      {
+        unique: true,
+        partialFilterExpression: { transactionId: { $type: "string" } },
+      }
+    );
+    await paymentsCollection.createIndex(
+      { sessionId: 1 },
+      {
+        unique: true,
+        partialFilterExpression: { sessionId: { $type: "string" } },
+      }
+    );
+
+    // Runs fn inside a multi-document transaction. withTransaction retries on
+    // write conflicts, so fn must be safe to re-run from the top.
+    const runTransaction = async (fn) => {
+      const session = client.startSession();
+      try {
+        let result;
+        await session.withTransaction(async () => {
+          result = await fn(session);
+        });
+        return result;
+      } finally {
+        await session.endSession();
+      }
+    };
+
+    await assetsCollection.createIndex({ companyId: 1, dateAdded: -1 });
+    await assetsCollection.createIndex({ name: 1 });
+    await requestsCollection.createIndex({ companyId: 1, requestDate: -1 });
+    await requestsCollection.createIndex({
+      requesterEmail: 1,
+      requestDate: -1,
+    });
+
+    await auditLogCollection.createIndex({ companyId: 1, createdAt: -1 });
+    await usersCollection.createIndex({ companyId: 1, role: 1 });
+    await employeeAffiliationsCollection.createIndex({
+      companyId: 1,
+      status: 1,
+    });
+    await assignedAssetsCollection.createIndex({ assetId: 1, status: 1 });
+    await assignedAssetsCollection.createIndex({ status: 1, bookingEnd: 1 });
+    await stockAlertsCollection.createIndex({
+      companyId: 1,
+      status: 1,
+      createdAt: -1,
+    });
+    await stockAlertsCollection.createIndex({ assetId: 1, status: 1 });
+    await maintenanceCollection.createIndex({ companyId: 1, startedAt: -1 });
+    await maintenanceCollection.createIndex({ assetId: 1, startedAt: -1 });
+    await assetUnitsCollection.createIndex({ assetId: 1, status: 1 });
+    // tags are scanned company-wide; serials only need to be unique per asset
+    await assetUnitsCollection.createIndex(
+      { companyId: 1, tag: 1 },
+      { unique: true, partialFilterExpression: { tag: { $type: "string" } } }
+    );
+    await assetUnitsCollection.createIndex(
+      { assetId: 1, serialNumber: 1 },
+      {
+        unique: true,
+        partialFilterExpression: { serialNumber: { $type: "string" } },
+      }
+    );
+    await invitationsCollection.createIndex({ tokenHash: 1 }, { unique: true });
+    await invitationsCollection.createIndex({ companyId: 1, status: 1 });
+    await hrInvitationsCollection.createIndex({ email: 1, status: 1 });
+    // one open join request per employee and company
+    await joinRequestsCollection.createIndex(
+      { companyId: 1, employeeEmail: 1 },
+      { unique: true, partialFilterExpression: { status: "pending" } }
+    );
+
+    // Append-only: entries are only ever inserted, and nothing exposes an
+    // update or delete on this collection. companyId is the company the entry
+    // belongs to (an array when an employee action touches several).
+    const recordAudit = (entry, session) =>
+      auditLogCollection.insertOne(
+        {
+          companyId: entry.companyId,
+          actor: entry.actor,
+          action: entry.action,
+          targetType: entry.targetType,
+          targetId: entry.targetId ?? null,
+          before: entry.before ?? null,
+          after: entry.after ?? null,
+          createdAt: new Date(),
+        },
+        { session }
+      );
+
+    await notificationsCollection.createIndex({
+      recipientEmail: 1,
+      read: 1,
+      createdAt: -1,
+    });
+    await streamTokensCollection.createIndex(
+      { tokenHash: 1 },
+      { unique: true }
+    );
+    // MongoDB deletes tokens nobody used
+    await streamTokensCollection.createIndex(
+      { expiresAt: 1 },
+      { expireAfterSeconds: 0 }
+    );
+
+    // Stores a notification for each recipient and pushes it to any open
+    // /notifications/stream connection. Call it after a transaction commits,
+    // never inside one.
+    const notify = async (recipients, { type, title, message, data = {} }) => {
+      const emails = [].concat(recipients).filter(Boolean);
+      if (!emails.length) return;
+
+      const docs = emails.map((recipientEmail) => ({
+        recipientEmail,
+        type,
+        title,
+        message,
+        data,
+        read: false,
+        createdAt: new Date(),
+      }));
+
+      try {
+        await notificationsCollection.insertMany(docs);
+        docs.forEach((doc) => streams.push(doc.recipientEmail, doc));
+      } catch (err) {
+        // a failed notification must not fail the action that raised it
+        console.error("Notification failed", err);
+      }
+    };
+
+    // Every HR of a company hears about its requests, returns and billing
+    const companyHrEmails = (companyId) =>
+      usersCollection.distinct("email", { role: "hr", companyId });
+
+    // Closes an asset's open alerts once it is back above its threshold
+    const resolveStockAlerts = async (asset, session) => {
+      if (asset.availableQuantity <= stockThreshold(asset)) return;
+      await stockAlertsCollection.updateMany(
+        { assetId: asset._id, status: { $in: OPEN_ALERT_STATUSES } },
+        {
+          $set: {
+            status: "resolved",
+            resolvedAt: new Date(),
+            resolvedQuantity: asset.availableQuantity,
+          },
+        },
+        { session }
+      );
+    };
+
+    // Stores an alert when a change takes an asset from above its threshold
+    // to at or below it. Returns the alert so the caller can notify once the
+    // transaction has committed.
+    const raiseStockAlert = async (before, after, session) => {
+      if (after.bookable) return null;
+      if (after.availableQuantity > stockThreshold(after)) {
+        await resolveStockAlerts(after, session);
+        return null;
+      }
+      if (before.availableQuantity <= stockThreshold(before)) return null;
+
+      const alert = {
+        companyId: after.companyId,
+        assetId: after._id,
+        assetName: after.name,
+        threshold: stockThreshold(after),
+        availableQuantity: after.availableQuantity,
+        status: "open",
+        createdAt: new Date(),
+      };
+      const result = await stockAlertsCollection.insertOne(alert, {
+        session,
+      });
+      return { ...alert, _id: result.insertedId };
+    };
+
+    const notifyStockAlert = async (alert) => {
+      if (!alert) return;
+      await notify(await companyHrEmails(alert.companyId), {
+        type: "stock.low",
+        title: alert.availableQuantity ? "Low stock" : "Out of stock",
+        message: `${alert.assetName} is down to ${alert.availableQuantity} available unit(s)`,
+        data: { alertId: alert._id, assetId: alert.assetId },
+      });
+    };
+
+    // Bookings of an asset that overlap [start, end). An overdue unit holds
+    // its slot until it is actually back, however long that takes.
+    const findBookings = async (assetId, start, end, session) => {
+      const bookings = await assignedAssetsCollection
+        .find(
+          {
+            assetId,
+            status: { $in: ACTIVE_ASSIGNMENT_STATUSES },
+            bookingStart: { $lt: end },
+            $or: [{ bookingEnd: { $gt: start } }, { status: "overdue" }],
+          },
+          { session }
+        )
+        .toArray();
+      return bookings.map((booking) =>
+        booking.status === "overdue"
+          ? { ...booking, bookingEnd: Infinity }
+          : booking
+      );
+    };
+
+    // Bookings past their end date that are still with the employee become
+    // "overdue" so HRs can chase them
+    const markOverdueBookings = async () => {
+      const now = new Date();
+      const due = await assignedAssetsCollection
+        .find({ status: "assigned", bookingEnd: { $lt: now } })
+        .toArray();
+
+      for (const booking of due) {
+        const result = await assignedAssetsCollection.updateOne(
+          { _id: booking._id, status: "assigned" },
+          { $set: { status: "overdue", overdueSince: now } }
+        );
+        if (!result.modifiedCount) continue;
+
+        await recordAudit({
+          companyId: booking.companyId,
+          actor: "system",
+          action: "assignment.overdue",
+          targetType: "assignedAsset",
+          targetId: booking._id,
+          before: { status: "assigned" },
+          after: { status: "overdue", overdueSince: now },
+        });
+        await notify(booking.employeeEmail, {
+          type: "booking.overdue",
+          title: "Booking overdue",
+          message: `Your booking of ${booking.assetName} ended. Please return it.`,
+          data: { assignedAssetId: booking._id },
+        });
+        await notify(await companyHrEmails(booking.companyId), {
+          type: "booking.overdue",
+          title: "Booking overdue",
+          message: `${booking.employeeName} has not returned ${booking.assetName}`,
+          data: { assignedAssetId: booking._id },
+        });
+      }
+    };
+
+    markOverdueBookings().catch((err) =>
+      console.error("Overdue check failed", err)
+    );
+    const overdueTimer = setInterval(
+      () =>
+        markOverdueBookings().catch((err) =>
+          console.error("Overdue check failed", err)
+        ),
+      OVERDUE_CHECK_MS
+    ).unref();
 
     // Role Middleware
     const verifyHR = async (req, res, next) => {
       const user = await usersCollection.findOne({ email: req.tokenEmail });
       if (!user || user.role !== "hr")
         return res.status(403).send({ message: "HR only action!" });
+      if (!user.companyId)
+        return res
+          .status(403)
+          .send({ message: "No company linked to this HR account" });
+      req.companyId = user.companyId;
+      req.hrRole = user.hrRole || "owner";
       next();
     };
 
+    // HR sub-roles: owner > manager > viewer. Use after verifyHR.
+    const requireHrRole =
+      (...roles) =>
+      (req, res, next) => {
+        if (!roles.includes(req.hrRole))
+          return res
+            .status(403)
+            .send({ message: "Your HR role cannot perform this action!" });
+        next();
+      };
+    const canManage = requireHrRole("owner", "manager");
+    const ownerOnly = requireHrRole("owner");
+
     const verifyEmployee = async (req, res, next) => {
       const user = await usersCollection.findOne({ email: req.tokenEmail });
       if (!user || user.role !== "employee")
@@ -76,57 +867,96 @@ async function run() {
       next();
     };
 
+    const verifyAdmin = async (req, res, next) => {
+      const user = await usersCollection.findOne({ email: req.tokenEmail });
+      if (!user || user.role !== "admin")
+        return res.status(403).send({ message: "Admin only action!" });
+      next();
+    };
+
     // User & Profile Routes
 
-    app.post("/user", async (req, res) => {
-      try {
-        const userData = req.body;
-        userData.currentEmployees = userData.currentEmployees || 0;
-        userData.packageLimit = userData.packageLimit || 0;
-        userData.createdAt = new Date();
-        userData.updatedAt = new Date();
+    // Registration is bound to the verified token email. Only profile fields
+    // are taken from the body; the role comes from which route is called and
+    // is never changed by registering again.
+    const registerUser = async (req, role, buildExtra = async () => ({})) => {
+      const { error, value } = readProfileFields(req.body);
+      if (error) throw new HttpError(400, error);
+      if (!value.name) throw new HttpError(400, "Name is required");
+
+      const existingUser = await usersCollection.findOne({
+        email: req.tokenEmail,
+      });
+      if (existingUser) {
+        // repeat sign-ins refresh the profile, nothing else
+        await usersCollection.updateOne(
+          { _id: existingUser._id },
+          { $set: { ...value, updatedAt: new Date() } }
+        );
+        return { created: false, role: existingUser.role };
+      }
+
+      const user = {
+        ...value,
+        email: req.tokenEmail,
+        role,
+        ...(await buildExtra()),
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
+      const result = await usersCollection.insertOne(user);
+      await recordAudit({
+        companyId: user.companyId || null,
+        actor: req.tokenEmail,
+        action: "user.register",
+        targetType: "user",
+        targetId: result.insertedId,
+        after: user,
+      });
+      return { created: true, role, insertedId: result.insertedId };
+    };
 
+    // HR registration: creates the company with the HR as its owner
+    app.post("/user", verifyJWT, async (req, res) => {
+      try {
+        const { companyName, companyLogo } = req.body;
         const existingUser = await usersCollection.findOne({
-          email: userData.email,
+          email: req.tokenEmail,
         });
-        if (existingUser) {
-          const result = await usersCollection.updateOne(
-            { email: userData.email },
-            { $set: { ...userData, updatedAt: new Date() } }
-          );
-          return res.send(result);
-        }
+        if (!existingUser && (!companyName || typeof companyName !== "string"))
+          return res.status(400).send({ message: "Company name is required" });
 
-        const result = await usersCollection.insertOne(userData);
-        res.send(result);
+        const createCompany = async () => {
+          const company = await companiesCollection.insertOne({
+            name: companyName.trim(),
+            logo: typeof companyLogo === "string" ? companyLogo : "",
+            packageLimit: DEFAULT_PACKAGE_LIMIT,
+            currentEmployees: 0,
+            ownerEmail: req.tokenEmail,
+            createdAt: new Date(),
+            updatedAt: new Date(),
+          });
+          return { companyId: company.insertedId, hrRole: "owner" };
+        };
+
+        res.send(await registerUser(req, "hr", createCompany));
       } catch (err) {
+        if (err instanceof HttpError)
+          return res.status(err.status).send({ message: err.message });
         res.status(500).send({ message: "User creation failed", err });
       }
     });
 
-    app.post("/user/employee", async (req, res) => {
+    app.post("/user/employee", verifyJWT, async (req, res) => {
       try {
-        const userData = req.body;
-
-        userData.companyAffiliations = userData.companyAffiliations || [];
-        userData.createdAt = new Date();
-        userData.updatedAt = new Date();
-
-        const existingUser = await usersCollection.findOne({
-          email: userData.email,
-        });
-
-        if (existingUser) {
-          const result = await usersCollection.updateOne(
-            { email: userData.email },
-            { $set: { ...userData, updatedAt: new Date() } }
-          );
-          return res.send(result);
-        }
-
-        const result = await usersCollection.insertOne(userData);
-        res.send(result);
+        res.send(
+          await registerUser(req, "employee", async () => ({
+            companyAffiliations: [],
+          }))
+        );
       } catch (err) {
+        if (err instanceof HttpError)
+          return res.status(err.status).send({ message: err.message });
         res.status(500).send({ message: "Employee creation failed", err });
       }
     });
@@ -135,14 +965,19 @@ async function run() {
       try {
         const hr = await usersCollection.findOne({ email: req.tokenEmail });
         if (!hr) return res.status(404).send({ message: "HR not found" });
+        const company = await companiesCollection.findOne({
+          _id: req.companyId,
+        });
 
         res.send({
           name: hr.name || hr.displayName,
           profileImage: hr.profileImage || "",
-          company: hr.companyName
+          hrRole: req.hrRole,
+          company: company
             ? {
-                companyName: hr.companyName,
-                companyLogo: hr.companyLogo || "",
+                companyId: company._id,
+                companyName: company.name,
+                companyLogo: company.logo || "",
               }
             : null,
         });
@@ -162,12 +997,43 @@ async function run() {
 
     app.patch("/user/update", verifyJWT, async (req, res) => {
       try {
-        const updates = req.body;
+        // role, company and package fields only change through their own
+        // privileged routes
+        const { error, value: updates } = readProfileFields(req.body, {
+          strict: true,
+        });
+        if (error) return res.status(400).send({ message: error });
+        if (!Object.keys(updates).length)
+          return res.status(400).send({ message: "Nothing to update" });
+        if (updates.name === "")
+          return res.status(400).send({ message: "Name cannot be empty" });
+
         updates.updatedAt = new Date();
+        const before = await usersCollection.findOne({ email: req.tokenEmail });
         const result = await usersCollection.updateOne(
           { email: req.tokenEmail },
           { $set: updates }
         );
+
+        if (before) {
+          const companyId =
+            before.role === "hr"
+              ? before.companyId
+              : await employeeAffiliationsCollection.distinct("companyId", {
+                  employeeEmail: before.email,
+                  status: "active",
+                });
+          await recordAudit({
+            companyId,
+            actor: req.tokenEmail,
+            action: "user.update",
+            targetType: "user",
+            targetId: before._id,
+            before,
+            after: { ...before, ...updates },
+          });
+        }
+
         res.send(result);
       } catch (err) {
         res.status(500).send({ message: "Profile update failed", err });
@@ -184,6 +1050,7 @@ async function run() {
         name: user.name,
         profileImage: user.profileImage,
         role: user.role,
+        dateOfBirth: user.dateOfBirth || null,
       });
     });
 
@@ -192,62 +1059,187 @@ async function run() {
       try {
         const employeeEmail = req.tokenEmail;
 
-        const affiliations = await employeeAffiliationsCollection
-          .find({ employeeEmail, status: "active" })
+        const companyIds = await employeeAffiliationsCollection.distinct(
+          "companyId",
+          { employeeEmail, status: "active" }
+        );
+
+        const companies = await companiesCollection
+          .find({ _id: { $in: companyIds } })
+          .project({ name: 1, logo: 1 })
           .toArray();
 
-        // Populate company info from HR / users collection
-        const companies = await Promise.all(
-          affiliations.map(async (aff) => {
-            const hr = await usersCollection.findOne({ email: aff.hrEmail });
-            return {
-              companyName: hr?.companyName || "N/A",
-              companyLogo: hr?.companyLogo || null,
-            };
-          })
+        res.send(
+          companies.map((company) => ({
+            companyId: company._id,
+            companyName: company.name || "N/A",
+            companyLogo: company.logo || null,
+          }))
         );
-
-        res.send(companies);
       } catch (err) {
         console.error(err);
         res.status(500).send({ message: "Failed to fetch companies" });
       }
     });
 
+    // Team directory of a company the employee belongs to. Coworkers'
+    // emails and birth dates never leave the database: members carry no
+    // email, and birthdays are only read as month/day.
+    app.get(
+      "/employee/companies/:companyId/team",
+      verifyJWT,
+      verifyEmployee,
+      async (req, res) => {
+        try {
+          if (!ObjectId.isValid(req.params.companyId))
+            return res.status(400).send({ message: "Invalid company id" });
+          const companyId = new ObjectId(req.params.companyId);
+
+          const membership = await employeeAffiliationsCollection.findOne({
+            companyId,
+            employeeEmail: req.tokenEmail,
+            status: "active",
+          });
+          if (!membership)
+            return res
+              .status(403)
+              .send({ message: "You are not a member of this company" });
+
+          const [company, members, hrContacts] = await Promise.all([
+            companiesCollection.findOne(
+              { _id: companyId },
+              { projection: { name: 1, logo: 1 } }
+            ),
+            employeeAffiliationsCollection
+              .aggregate([
+                { $match: { companyId, status: "active" } },
+                {
+                  $lookup: {
+                    from: "users",
+                    localField: "employeeEmail",
+                    foreignField: "email",
+                    as: "employeeInfo",
+                  },
+                },
+                { $unwind: "$employeeInfo" },
+                {
+                  $project: {
+                    _id: 0,
+                    name: "$employeeInfo.name",
+                    profileImage: "$employeeInfo.profileImage",
+                    position: "$employeeInfo.position",
+                    birthMonth: { $month: "$employeeInfo.dateOfBirth" },
+                    birthDay: { $dayOfMonth: "$employeeInfo.dateOfBirth" },
+                    affiliationDate: 1,
+                  },
+                },
+                { $sort: { name: 1 } },
+              ])
+              .toArray(),
+            usersCollection
+              .find({ role: "hr", companyId })
+              .project({
+                _id: 0,
+                name: 1,
+                email: 1,
+                profileImage: 1,
+                hrRole: 1,
+              })
+              .toArray(),
+          ]);
+          if (!company)
+            return res.status(404).send({ message: "Company not found" });
+
+          // birthdays from today to the end of the current month (UTC)
+          const today = new Date();
+          const upcomingBirthdays = members
+            .filter(
+              ({ birthMonth, birthDay }) =>
+                birthMonth === today.getUTCMonth() + 1 &&
+                birthDay >= today.getUTCDate()
+            )
+            .map(({ name, profileImage, birthMonth, birthDay }) => ({
+              name,
+              profileImage: profileImage || null,
+              month: birthMonth,
+              day: birthDay,
+              isToday: birthDay === today.getUTCDate(),
+            }))
+            .sort((a, b) => a.day - b.day);
+
+          res.send({
+            companyId,
+            companyName: company.name || "N/A",
+            companyLogo: company.logo || null,
+            // owners first
+            hrContacts: hrContacts.sort(
+              (a, b) => (b.hrRole === "owner") - (a.hrRole === "owner")
+            ),
+            members: members.map(({ birthMonth, birthDay, ...member }) => ({
+              ...member,
+              profileImage: member.profileImage || null,
+              position: member.position || null,
+            })),
+            upcomingBirthdays,
+          });
+        } catch (err) {
+          console.error(err);
+          res.status(500).send({ message: "Failed to fetch team" });
+        }
+      }
+    );
+
     // Assets Routes (HR)
 
     // Add Asset
-    app.post("/assets", verifyJWT, verifyHR, async (req, res) => {
+    app.post("/assets", verifyJWT, verifyHR, canManage, async (req, res) => {
       try {
-        const {
-          productName,
-          productType,
-          quantity,
-          productImage,
-          companyName,
-        } = req.body;
+        const { productName, productType, quantity, productImage } = req.body;
 
-        if (!productName || !productType || !quantity) {
-          return res.status(400).send({ message: "Missing required fields" });
-        }
+        const { error, value } = validateAssetInput(req.body);
+        if (error) return res.status(400).send({ message: error });
+        const finance = readFinanceFields(req.body);
+        if (finance.error)
+          return res.status(400).send({ message: finance.error });
+        const financeError = depreciationError(finance.value);
+        if (financeError)
+          return res.status(400).send({ message: financeError });
 
-        const qty = parseInt(quantity, 10);
-        if (isNaN(qty) || qty <= 0) {
-          return res.status(400).send({ message: "Invalid quantity" });
-        }
+        const bookable = req.body.bookable === true;
+        if (bookable && !isReturnableType(productType))
+          return res
+            .status(400)
+            .send({ message: "Only returnable assets can be booked" });
 
+        const company = await companiesCollection.findOne({
+          _id: req.companyId,
+        });
+
+        const qty = parseInt(quantity, 10);
         const asset = {
           name: productName,
           type: productType,
           quantity: qty,
           availableQuantity: qty,
+          lowStockThreshold: value.lowStockThreshold,
+          bookable,
+          ...finance.value,
           productImage: productImage || "",
-          hrEmail: req.tokenEmail,
-          companyName: companyName || "N/A",
+          companyId: req.companyId,
+          companyName: company?.name || "N/A",
+          addedBy: req.tokenEmail,
           dateAdded: new Date(),
         };
 
         const result = await assetsCollection.insertOne(asset);
+        await recordAudit({
+          companyId: req.companyId,
+          actor: req.tokenEmail,
+          action: "asset.create",
+          targetType: "asset",
+          targetId: result.insertedId,
+          after: asset,
+        });
 
         res.send({
           message: "Asset added successfully",
@@ -259,597 +1251,5964 @@ async function run() {
       }
     });
 
-    app.get("/assets", verifyJWT, async (req, res) => {
-      try {
-        const query =
-          req.query.mine === "true" ? { hrEmail: req.tokenEmail } : {};
-        const result = await assetsCollection.find(query).toArray();
-        res.send(result);
-      } catch (err) {
+    // POST /assets/import?dryRun=true
+    // Body: CSV text (Content-Type: text/csv) with the columns
+    // productName, productType, quantity, productImage and optionally
+    // lowStockThreshold and the purchase / depreciation fields (purchasePrice,
+    // purchaseDate, vendor, warrantyExpiry, depreciationMethod,
+    // usefulLifeMonths, salvageValue). Nothing is written
+    // unless every row is valid.
+    app.post(
+      "/assets/import",
+      verifyJWT,
+      verifyHR,
+      canManage,
+      express.text({ type: ["text/csv", "text/plain"], limit: "2mb" }),
+      async (req, res) => {
+        try {
+          const csv = typeof req.body === "string" ? req.body : req.body?.csv;
+          if (!csv)
+            return res.status(400).send({ message: "CSV body is required" });
+
+          const rows = parseCsvRows(csv);
+          if (!rows.length)
+            return res.status(400).send({ message: "CSV has no data rows" });
+          if (rows.length > 5000)
+            return res
+              .status(413)
+              .send({ message: "At most 5000 rows per import" });
+
+          const company = await companiesCollection.findOne({
+            _id: req.companyId,
+          });
+          const errors = [];
+          const assets = [];
+
+          rows.forEach(({ line, values: row }) => {
+            // row numbers are the record's line in the file, header is 1
+            const { error, value } = validateAssetInput(row);
+            if (error) return errors.push({ row: line, message: error });
+            const finance = readFinanceFields(row);
+            const financeError =
+              finance.error || depreciationError(finance.value);
+            if (financeError)
+              return errors.push({ row: line, message: financeError });
+
+            assets.push({
+              ...value,
+              ...finance.value,
+              availableQuantity: value.quantity,
+              productImage: row.productImage || "",
+              companyId: req.companyId,
+              companyName: company?.name || "N/A",
+              addedBy: req.tokenEmail,
+              dateAdded: new Date(),
+            });
+          });
+
+          const dryRun = req.query.dryRun === "true";
+          const report = {
+            dryRun,
+            totalRows: rows.length,
+            validRows: assets.length,
+            errors,
+          };
+
+          if (errors.length) return res.status(422).send(report);
+          if (dryRun) return res.send(report);
+
+          const result = await assetsCollection.insertMany(assets);
+          await recordAudit({
+            companyId: req.companyId,
+            actor: req.tokenEmail,
+            action: "asset.import",
+            targetType: "asset",
+            after: {
+              count: result.insertedCount,
+              assetIds: Object.values(result.insertedIds),
+            },
+          });
+
+          res.send({ ...report, imported: result.insertedCount });
+        } catch (err) {
+          console.error(err);
+          res.status(500).send({ message: "Asset import failed", err });
+        }
+      }
+    );
+
+    // CSV Exports (HR)
+
+    app.get("/assets/export", verifyJWT, verifyHR, async (req, res) => {
+      try {
+        const cursor = assetsCollection
+          .find({ companyId: req.companyId, deletedAt: null })
+          .sort({ dateAdded: -1 });
+
+        await streamCsv(
+          res,
+          "assets.csv",
+          [
+            { header: "id", value: (a) => a._id },
+            { header: "productName", value: (a) => a.name },
+            { header: "productType", value: (a) => a.type },
+            { header: "quantity", value: (a) => a.quantity },
+            { header: "availableQuantity", value: (a) => a.availableQuantity },
+            { header: "productImage", value: (a) => a.productImage },
+            { header: "dateAdded", value: (a) => a.dateAdded },
+            { header: "purchasePrice", value: (a) => a.purchasePrice },
+            { header: "purchaseDate", value: (a) => a.purchaseDate },
+            { header: "vendor", value: (a) => a.vendor },
+            { header: "warrantyExpiry", value: (a) => a.warrantyExpiry },
+            {
+              header: "depreciationMethod",
+              value: (a) => a.depreciationMethod,
+            },
+            { header: "usefulLifeMonths", value: (a) => a.usefulLifeMonths },
+            { header: "salvageValue", value: (a) => a.salvageValue },
+          ],
+          cursor
+        );
+      } catch (err) {
+        console.error(err);
+        if (!res.headersSent)
+          res.status(500).send({ message: "Asset export failed", err });
+        else res.end();
+      }
+    });
+
+    app.get(
+      "/assigned-assets/export",
+      verifyJWT,
+      verifyHR,
+      async (req, res) => {
+        try {
+          const cursor = assignedAssetsCollection
+            .find({ companyId: req.companyId })
+            .sort({ assignmentDate: -1 });
+
+          await streamCsv(
+            res,
+            "assigned-assets.csv",
+            [
+              { header: "id", value: (a) => a._id },
+              { header: "assetId", value: (a) => a.assetId },
+              { header: "assetName", value: (a) => a.assetName },
+              { header: "assetType", value: (a) => a.assetType },
+              { header: "employeeName", value: (a) => a.employeeName },
+              { header: "employeeEmail", value: (a) => a.employeeEmail },
+              { header: "assignmentDate", value: (a) => a.assignmentDate },
+              { header: "status", value: (a) => a.status },
+              { header: "returnDate", value: (a) => a.returnDate },
+              { header: "returnCondition", value: (a) => a.returnCondition },
+            ],
+            cursor
+          );
+        } catch (err) {
+          console.error(err);
+          if (!res.headersSent)
+            res.status(500).send({ message: "Assignment export failed", err });
+          else res.end();
+        }
+      }
+    );
+
+    app.get("/requests/export", verifyJWT, verifyHR, async (req, res) => {
+      try {
+        const cursor = requestsCollection
+          .find({ ...buildRequestFilters(req.query), companyId: req.companyId })
+          .sort({ requestDate: -1 });
+
+        await streamCsv(
+          res,
+          "requests.csv",
+          [
+            { header: "id", value: (r) => r._id },
+            { header: "assetName", value: (r) => r.assetName },
+            { header: "assetType", value: (r) => r.assetType },
+            { header: "requesterName", value: (r) => r.requesterName },
+            { header: "requesterEmail", value: (r) => r.requesterEmail },
+            { header: "requestDate", value: (r) => r.requestDate },
+            { header: "requestStatus", value: (r) => r.requestStatus },
+            { header: "approvalDate", value: (r) => r.approvalDate },
+            { header: "processedBy", value: (r) => r.processedBy },
+            { header: "note", value: (r) => r.note },
+            { header: "hrNote", value: (r) => r.hrNote },
+          ],
+          cursor
+        );
+      } catch (err) {
+        if (err instanceof HttpError)
+          return res.status(err.status).send({ message: err.message });
+        console.error(err);
+        if (!res.headersSent)
+          res.status(500).send({ message: "Request export failed", err });
+        else res.end();
+      }
+    });
+
+    // GET /assets?page=&limit=&search=&type=&stock=&sort=&order=
+    // HRs see their own stock. Employees see assets of the companies they
+    // belong to (or every company before their first assignment), without
+    // any stock counts.
+    app.get("/assets", verifyJWT, async (req, res) => {
+      try {
+        const user = await usersCollection.findOne({ email: req.tokenEmail });
+        const isHR = user?.role === "hr";
+        const { page, limit, skip } = parsePagination(req.query);
+        const { search, type, stock, sort = "dateAdded", order } = req.query;
+
+        const query = { deletedAt: null };
+
+        if (isHR) {
+          query.companyId = user.companyId;
+        } else {
+          const companies = await employeeAffiliationsCollection.distinct(
+            "companyId",
+            { employeeEmail: req.tokenEmail, status: "active" }
+          );
+          if (companies.length) query.companyId = { $in: companies };
+        }
+
+        if (search) {
+          query.name = { $regex: escapeRegex(String(search)), $options: "i" };
+        }
+        if (type) query.type = type;
+
+        if (stock === "out") {
+          query.availableQuantity = { $lte: 0 };
+        } else if (stock === "low") {
+          // the reorder threshold is internal to the company
+          if (!isHR)
+            return res.status(400).send({ message: "Invalid stock filter" });
+          query.availableQuantity = { $gt: 0 };
+          query.$expr = atOrBelowThreshold;
+        } else if (stock === "available") {
+          query.availableQuantity = { $gt: 0 };
+          if (isHR) query.$expr = { $not: [atOrBelowThreshold] };
+        } else if (stock) {
+          return res.status(400).send({ message: "Invalid stock filter" });
+        }
+
+        // stock-based sorting is only meaningful for the owning HR
+        const sortable = isHR
+          ? ["dateAdded", "quantity", "availableQuantity", "name"]
+          : ["dateAdded", "name"];
+        if (!sortable.includes(sort)) {
+          return res.status(400).send({ message: "Invalid sort field" });
+        }
+        const direction = order === "asc" ? 1 : -1;
+
+        const projection = isHR
+          ? {}
+          : {
+              name: 1,
+              type: 1,
+              productImage: 1,
+              bookable: 1,
+              companyId: 1,
+              companyName: 1,
+              dateAdded: 1,
+              inStock: { $gt: ["$availableQuantity", 0] },
+            };
+
+        const [assets, total] = await Promise.all([
+          assetsCollection
+            .find(query)
+            .project(projection)
+            .sort({ [sort]: direction, _id: direction })
+            .skip(skip)
+            .limit(limit)
+            .toArray(),
+          assetsCollection.countDocuments(query),
+        ]);
+
+        res.send({
+          assets,
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit),
+        });
+      } catch (err) {
         res.status(500).send({ message: "Error fetching assets", err });
       }
     });
 
-    app.delete("/assets/:id", verifyJWT, verifyHR, async (req, res) => {
+    // Edit Asset
+    app.patch(
+      "/assets/:id",
+      verifyJWT,
+      verifyHR,
+      canManage,
+      async (req, res) => {
+        try {
+          if (!ObjectId.isValid(req.params.id))
+            return res.status(400).send({ message: "Invalid asset id" });
+          const assetId = new ObjectId(req.params.id);
+          const { productName, productType, productImage, quantity } = req.body;
+
+          const updates = {};
+          if (productName !== undefined) {
+            if (!productName)
+              return res.status(400).send({ message: "Invalid product name" });
+            updates.name = productName;
+          }
+          if (productType !== undefined) {
+            if (!productType)
+              return res.status(400).send({ message: "Invalid product type" });
+            updates.type = productType;
+          }
+          if (productImage !== undefined) updates.productImage = productImage;
+          if (req.body.bookable !== undefined) {
+            if (typeof req.body.bookable !== "boolean")
+              return res.status(400).send({ message: "Invalid bookable flag" });
+            updates.bookable = req.body.bookable;
+          }
+          if (req.body.lowStockThreshold !== undefined) {
+            const threshold = parseThreshold(req.body.lowStockThreshold);
+            if (isNaN(threshold))
+              return res
+                .status(400)
+                .send({ message: "Invalid low-stock threshold" });
+            updates.lowStockThreshold = threshold;
+          }
+          const finance = readFinanceFields(req.body, { clearable: true });
+          if (finance.error)
+            return res.status(400).send({ message: finance.error });
+          Object.assign(updates, finance.value);
+
+          let qty;
+          if (quantity !== undefined) {
+            qty = parseInt(quantity, 10);
+            if (isNaN(qty) || qty <= 0) {
+              return res.status(400).send({ message: "Invalid quantity" });
+            }
+          }
+
+          if (!Object.keys(updates).length && qty === undefined) {
+            return res.status(400).send({ message: "Nothing to update" });
+          }
+
+          const { asset, alert } = await runTransaction(async (session) => {
+            const current = await assetsCollection.findOne(
+              { _id: assetId, companyId: req.companyId, deletedAt: null },
+              { session }
+            );
+            if (!current) throw new HttpError(404, "Asset not found");
+
+            const bookable = updates.bookable ?? Boolean(current.bookable);
+            if (bookable && !isReturnableType(updates.type ?? current.type))
+              throw new HttpError(400, "Only returnable assets can be booked");
+            if (bookable && current.trackUnits)
+              throw new HttpError(
+                409,
+                "Assets tracked by unit cannot be booked"
+              );
+            const financeError = depreciationError({ ...current, ...updates });
+            if (financeError) throw new HttpError(400, financeError);
+
+            const outstanding = await assignedAssetsCollection.countDocuments(
+              { assetId, status: { $in: ACTIVE_ASSIGNMENT_STATUSES } },
+              { session }
+            );
+            // stock is counted differently in each mode, so only switch
+            // while nothing is out
+            if (
+              updates.bookable !== undefined &&
+              updates.bookable !== Boolean(current.bookable) &&
+              outstanding > 0
+            ) {
+              throw new HttpError(
+                409,
+                "Collect all assigned units before changing booking mode"
+              );
+            }
+
+            const set = { ...updates, updatedAt: new Date() };
+            if (qty !== undefined) {
+              // units currently out with employees stay out; for bookable
+              // assets every outstanding booking keeps its unit
+              const assigned = bookable
+                ? outstanding + (current.maintenanceQuantity || 0)
+                : current.quantity - current.availableQuantity;
+              if (qty < assigned) {
+                throw new HttpError(
+                  409,
+                  `Quantity cannot be lower than the ${assigned} unit(s) currently assigned`
+                );
+              }
+              if (current.trackUnits) {
+                const registered = await assetUnitsCollection.countDocuments(
+                  { assetId, status: { $ne: "retired" } },
+                  { session }
+                );
+                if (qty < registered)
+                  throw new HttpError(
+                    409,
+                    `Quantity cannot be lower than the ${registered} registered unit(s). Retire units instead.`
+                  );
+              }
+              set.quantity = qty;
+              // a bookable asset's stock is every unit not in maintenance;
+              // bookings are checked by date instead
+              set.availableQuantity = bookable
+                ? qty - (current.maintenanceQuantity || 0)
+                : qty - assigned;
+            }
+
+            const updated = await assetsCollection.findOneAndUpdate(
+              { _id: assetId },
+              { $set: set },
+              { session, returnDocument: "after" }
+            );
+
+            // keep the copies on requests / assignments in step
+            const copies = {};
+            if (updates.name !== undefined) copies.assetName = updates.name;
+            if (updates.type !== undefined) copies.assetType = updates.type;
+            if (updates.productImage !== undefined)
+              copies.assetImage = updates.productImage;
+
+            if (Object.keys(copies).length) {
+              await requestsCollection.updateMany(
+                { assetId },
+                { $set: copies },
+                { session }
+              );
+              await assignedAssetsCollection.updateMany(
+                { assetId },
+                { $set: copies },
+                { session }
+              );
+            }
+
+            await recordAudit(
+              {
+                companyId: req.companyId,
+                actor: req.tokenEmail,
+                action: "asset.update",
+                targetType: "asset",
+                targetId: assetId,
+                before: current,
+                after: updated,
+              },
+              session
+            );
+
+            return {
+              asset: updated,
+              alert: await raiseStockAlert(current, updated, session),
+            };
+          });
+          await notifyStockAlert(alert);
+
+          res.send({ message: "Asset updated successfully", asset });
+        } catch (err) {
+          if (err instanceof HttpError)
+            return res.status(err.status).send({ message: err.message });
+          console.error(err);
+          res.status(500).send({ message: "Failed to update asset", err });
+        }
+      }
+    );
+
+    // Assets at or below their threshold, with how many pending requests
+    // are waiting on each, most wanted first
+    app.get("/assets/low-stock", verifyJWT, verifyHR, async (req, res) => {
+      try {
+        const assets = await assetsCollection
+          .aggregate([
+            {
+              $match: {
+                companyId: req.companyId,
+                deletedAt: null,
+                bookable: { $ne: true },
+                $expr: atOrBelowThreshold,
+              },
+            },
+            {
+              $lookup: {
+                from: "requests",
+                let: { assetId: "$_id" },
+                pipeline: [
+                  {
+                    $match: {
+                      requestStatus: "pending",
+                      $expr: { $eq: ["$assetId", "$$assetId"] },
+                    },
+                  },
+                  { $count: "count" },
+                ],
+                as: "pending",
+              },
+            },
+            {
+              $project: {
+                name: 1,
+                type: 1,
+                productImage: 1,
+                quantity: 1,
+                availableQuantity: 1,
+                lowStockThreshold: {
+                  $ifNull: ["$lowStockThreshold", LOW_STOCK_THRESHOLD],
+                },
+                pendingRequests: {
+                  $ifNull: [{ $first: "$pending.count" }, 0],
+                },
+              },
+            },
+            { $sort: { pendingRequests: -1, availableQuantity: 1, name: 1 } },
+          ])
+          .toArray();
+
+        res.send(assets);
+      } catch (err) {
+        res.status(500).send({ message: "Error fetching low stock", err });
+      }
+    });
+
+    // GET /stock-alerts?status=open,acknowledged (the default)
+    app.get("/stock-alerts", verifyJWT, verifyHR, async (req, res) => {
       try {
-        await assetsCollection.deleteOne({ _id: new ObjectId(req.params.id) });
-        res.send({ message: "Asset deleted successfully" });
+        const statuses = req.query.status
+          ? String(req.query.status).split(",")
+          : OPEN_ALERT_STATUSES;
+        if (
+          statuses.some(
+            (status) => ![...OPEN_ALERT_STATUSES, "resolved"].includes(status)
+          )
+        )
+          return res.status(400).send({ message: "Invalid status filter" });
+
+        const { page, limit, skip } = parsePagination(req.query, 20);
+        const query = { companyId: req.companyId, status: { $in: statuses } };
+        const [alerts, total] = await Promise.all([
+          stockAlertsCollection
+            .find(query)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .toArray(),
+          stockAlertsCollection.countDocuments(query),
+        ]);
+
+        res.send({
+          alerts,
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit),
+        });
       } catch (err) {
-        res.status(500).send({ message: "Failed to delete asset", err });
+        res.status(500).send({ message: "Error fetching stock alerts", err });
       }
     });
 
-    // Employee Requests
+    // Acknowledged alerts stay listed until the asset is restocked
+    app.patch(
+      "/stock-alerts/:id/acknowledge",
+      verifyJWT,
+      verifyHR,
+      canManage,
+      async (req, res) => {
+        try {
+          if (!ObjectId.isValid(req.params.id))
+            return res.status(400).send({ message: "Invalid alert id" });
 
-    // POST /requests
-    app.post("/requests", verifyJWT, verifyEmployee, async (req, res) => {
+          const alert = await stockAlertsCollection.findOneAndUpdate(
+            {
+              _id: new ObjectId(req.params.id),
+              companyId: req.companyId,
+              status: "open",
+            },
+            {
+              $set: {
+                status: "acknowledged",
+                acknowledgedBy: req.tokenEmail,
+                acknowledgedAt: new Date(),
+              },
+            },
+            { returnDocument: "after" }
+          );
+          if (!alert)
+            return res.status(404).send({ message: "No open alert found" });
+
+          res.send({ message: "Alert acknowledged", alert });
+        } catch (err) {
+          res.status(500).send({ message: "Failed to acknowledge alert", err });
+        }
+      }
+    );
+
+    // GET /assets/:id/availability?from=2025-03-01&to=2025-03-31
+    // Day-by-day free units of a bookable asset (default: the next 30 days)
+    app.get("/assets/:id/availability", verifyJWT, async (req, res) => {
       try {
-        const { assetId, note } = req.body;
+        if (!ObjectId.isValid(req.params.id))
+          return res.status(400).send({ message: "Invalid asset id" });
 
-        // 1. Find the asset in DB
         const asset = await assetsCollection.findOne({
-          _id: new ObjectId(assetId),
+          _id: new ObjectId(req.params.id),
+          deletedAt: null,
         });
+        if (!asset) return res.status(404).send({ message: "Asset not found" });
 
-        if (!asset) {
+        const user = await usersCollection.findOne({ email: req.tokenEmail });
+        const isHR = user?.role === "hr";
+        if (isHR && String(user.companyId) !== String(asset.companyId))
           return res.status(404).send({ message: "Asset not found" });
+        if (!isHR) {
+          const member = await employeeAffiliationsCollection.findOne({
+            employeeEmail: req.tokenEmail,
+            companyId: asset.companyId,
+            status: "active",
+          });
+          if (!member)
+            return res.status(404).send({ message: "Asset not found" });
         }
+        if (!asset.bookable)
+          return res
+            .status(400)
+            .send({ message: "This asset is not bookable" });
 
-        if (asset.availableQuantity < 1) {
-          return res.status(400).send({ message: "Asset not available" });
+        // days run midnight to midnight UTC, matching their YYYY-MM-DD labels
+        const from = new Date(req.query.from || Date.now());
+        from.setUTCHours(0, 0, 0, 0);
+        const to = req.query.to
+          ? new Date(req.query.to)
+          : new Date(from.getTime() + 30 * DAY_MS);
+        if (isNaN(from) || isNaN(to) || to < from)
+          return res.status(400).send({ message: "Invalid date range" });
+        to.setUTCHours(0, 0, 0, 0);
+        const end = new Date(to.getTime() + DAY_MS);
+        if (end - from > MAX_BOOKING_DAYS * DAY_MS)
+          return res.status(400).send({
+            message: `Range can span at most ${MAX_BOOKING_DAYS} days`,
+          });
+
+        const bookings = await findBookings(asset._id, from, end);
+
+        const days = [];
+        for (
+          let day = from;
+          day < end;
+          day = new Date(day.getTime() + DAY_MS)
+        ) {
+          const next = new Date(day.getTime() + DAY_MS);
+          const booked = peakOverlap(bookings, day, next);
+          days.push({
+            date: day.toISOString().slice(0, 10),
+            booked,
+            available: Math.max(bookableCapacity(asset) - booked, 0),
+          });
         }
 
-        // 2. Check if employee already requested this asset and it's pending
-        const existingRequest = await requestsCollection.findOne({
+        res.send({
           assetId: asset._id,
-          requesterEmail: req.tokenEmail,
-          requestStatus: "pending",
+          quantity: asset.quantity,
+          capacity: bookableCapacity(asset),
+          from,
+          to: end,
+          days,
+          // only the HR sees who holds each booking
+          bookings: bookings.map((booking) => ({
+            bookingStart: booking.bookingStart,
+            bookingEnd:
+              booking.status === "overdue" ? null : booking.bookingEnd,
+            status: booking.status,
+            ...(isHR && {
+              employeeName: booking.employeeName,
+              employeeEmail: booking.employeeEmail,
+            }),
+          })),
+        });
+      } catch (err) {
+        res.status(500).send({ message: "Error fetching availability", err });
+      }
+    });
+
+    // Deleted assets (HR trash)
+    app.get("/assets/deleted", verifyJWT, verifyHR, async (req, res) => {
+      try {
+        const result = await assetsCollection
+          .find({ companyId: req.companyId, deletedAt: { $ne: null } })
+          .sort({ deletedAt: -1 })
+          .toArray();
+        res.send(result);
+      } catch (err) {
+        res.status(500).send({ message: "Error fetching assets", err });
+      }
+    });
+
+    // Soft delete: refused while units are out with employees; pending
+    // requests for the asset are cancelled.
+    app.delete(
+      "/assets/:id",
+      verifyJWT,
+      verifyHR,
+      canManage,
+      async (req, res) => {
+        try {
+          if (!ObjectId.isValid(req.params.id))
+            return res.status(400).send({ message: "Invalid asset id" });
+          const assetId = new ObjectId(req.params.id);
+
+          const cancelledRequests = await runTransaction(async (session) => {
+            const asset = await assetsCollection.findOne(
+              { _id: assetId, companyId: req.companyId, deletedAt: null },
+              { session }
+            );
+            if (!asset) throw new HttpError(404, "Asset not found");
+
+            const activeAssignments =
+              await assignedAssetsCollection.countDocuments(
+                { assetId, status: { $in: ACTIVE_ASSIGNMENT_STATUSES } },
+                { session }
+              );
+            if (activeAssignments > 0) {
+              throw new HttpError(
+                409,
+                `${activeAssignments} unit(s) are still assigned. Collect them before deleting.`
+              );
+            }
+
+            const now = new Date();
+            await assetsCollection.updateOne(
+              { _id: assetId },
+              { $set: { deletedAt: now, deletedBy: req.tokenEmail } },
+              { session }
+            );
+
+            const result = await requestsCollection.updateMany(
+              { assetId, requestStatus: "pending" },
+              {
+                $set: {
+                  requestStatus: "cancelled",
+                  cancelledAt: now,
+                  cancelledBy: req.tokenEmail,
+                  cancelReason: "Asset deleted",
+                },
+              },
+              { session }
+            );
+
+            await recordAudit(
+              {
+                companyId: req.companyId,
+                actor: req.tokenEmail,
+                action: "asset.delete",
+                targetType: "asset",
+                targetId: assetId,
+                before: asset,
+                after: {
+                  ...asset,
+                  deletedAt: now,
+                  deletedBy: req.tokenEmail,
+                  cancelledRequests: result.modifiedCount,
+                },
+              },
+              session
+            );
+            return result.modifiedCount;
+          });
+
+          res.send({
+            message: "Asset deleted successfully",
+            cancelledRequests,
+          });
+        } catch (err) {
+          if (err instanceof HttpError)
+            return res.status(err.status).send({ message: err.message });
+          res.status(500).send({ message: "Failed to delete asset", err });
+        }
+      }
+    );
+
+    app.patch(
+      "/assets/:id/restore",
+      verifyJWT,
+      verifyHR,
+      canManage,
+      async (req, res) => {
+        try {
+          if (!ObjectId.isValid(req.params.id))
+            return res.status(400).send({ message: "Invalid asset id" });
+
+          const before = await assetsCollection.findOneAndUpdate(
+            {
+              _id: new ObjectId(req.params.id),
+              companyId: req.companyId,
+              deletedAt: { $ne: null },
+            },
+            { $unset: { deletedAt: "", deletedBy: "" } }
+          );
+          if (!before)
+            return res.status(404).send({ message: "Deleted asset not found" });
+
+          const { deletedAt, deletedBy, ...after } = before;
+          await recordAudit({
+            companyId: req.companyId,
+            actor: req.tokenEmail,
+            action: "asset.restore",
+            targetType: "asset",
+            targetId: before._id,
+            before,
+            after,
+          });
+
+          res.send({ message: "Asset restored successfully" });
+        } catch (err) {
+          res.status(500).send({ message: "Failed to restore asset", err });
+        }
+      }
+    );
+
+    // Permanent removal, only from the trash. Request and assignment history
+    // keeps its own copies of the asset name/type/image.
+    app.delete(
+      "/assets/:id/purge",
+      verifyJWT,
+      verifyHR,
+      canManage,
+      async (req, res) => {
+        try {
+          if (!ObjectId.isValid(req.params.id))
+            return res.status(400).send({ message: "Invalid asset id" });
+
+          const before = await assetsCollection.findOneAndDelete({
+            _id: new ObjectId(req.params.id),
+            companyId: req.companyId,
+            deletedAt: { $ne: null },
+          });
+          if (!before)
+            return res.status(404).send({ message: "Deleted asset not found" });
+          // past holders stay on assignedAssets
+          await assetUnitsCollection.deleteMany({ assetId: before._id });
+
+          await recordAudit({
+            companyId: req.companyId,
+            actor: req.tokenEmail,
+            action: "asset.purge",
+            targetType: "asset",
+            targetId: before._id,
+            before,
+          });
+
+          res.send({ message: "Asset permanently deleted" });
+        } catch (err) {
+          res.status(500).send({ message: "Failed to purge asset", err });
+        }
+      }
+    );
+
+    // Asset Units (HR)
+
+    // Loads a unit of the HR's company or fails with 404
+    const findCompanyUnit = async (id, companyId, session) => {
+      if (!ObjectId.isValid(id)) throw new HttpError(400, "Invalid unit id");
+      const unit = await assetUnitsCollection.findOne(
+        { _id: new ObjectId(id), companyId },
+        { session }
+      );
+      if (!unit) throw new HttpError(404, "Unit not found");
+      return unit;
+    };
+
+    // A unit out for maintenance carries the open record's maintenanceId.
+    // Records opened before that field existed are looked up instead.
+    const underMaintenance = async (unit, session) =>
+      Boolean(unit.maintenanceId) ||
+      Boolean(
+        await maintenanceCollection.findOne(
+          { unitId: unit._id, status: "open" },
+          { session, projection: { _id: 1 } }
+        )
+      );
+
+    // Moves a unit read earlier in the transaction, failing if it changed
+    // or was sent to maintenance since
+    const moveUnit = async (unit, update, session) => {
+      const { matchedCount } = await assetUnitsCollection.updateOne(
+        { _id: unit._id, status: unit.status, maintenanceId: null },
+        update,
+        { session }
+      );
+      if (!matchedCount) throw new HttpError(409, "Unit changed, try again");
+    };
+
+    app.get("/assets/:id/units", verifyJWT, verifyHR, async (req, res) => {
+      try {
+        if (!ObjectId.isValid(req.params.id))
+          return res.status(400).send({ message: "Invalid asset id" });
+
+        const query = {
+          assetId: new ObjectId(req.params.id),
+          companyId: req.companyId,
+        };
+        if (req.query.status) {
+          if (!UNIT_STATUSES.includes(req.query.status))
+            return res.status(400).send({ message: "Invalid status filter" });
+          query.status = req.query.status;
+        }
+
+        const units = await assetUnitsCollection
+          .find(query)
+          .sort({ createdAt: 1 })
+          .toArray();
+        res.send(units);
+      } catch (err) {
+        res.status(500).send({ message: "Error fetching units", err });
+      }
+    });
+
+    // Register units for stock the asset already counts. Registering the
+    // first unit switches the asset to unit tracking; from then on approval
+    // hands out a specific unit, so every unit in stock should be registered.
+    app.post(
+      "/assets/:id/units",
+      verifyJWT,
+      verifyHR,
+      canManage,
+      async (req, res) => {
+        try {
+          if (!ObjectId.isValid(req.params.id))
+            return res.status(400).send({ message: "Invalid asset id" });
+          const assetId = new ObjectId(req.params.id);
+
+          const input = Array.isArray(req.body.units)
+            ? req.body.units
+            : [req.body];
+          if (!input.length)
+            return res.status(400).send({ message: "No units given" });
+
+          const units = [];
+          for (const [i, body] of input.entries()) {
+            const { error, value } = readUnitInput(body);
+            if (error)
+              return res
+                .status(400)
+                .send({ message: `Unit ${i + 1}: ${error}` });
+            units.push(value);
+          }
+
+          const inserted = await runTransaction(async (session) => {
+            const asset = await assetsCollection.findOneAndUpdate(
+              { _id: assetId, companyId: req.companyId, deletedAt: null },
+              { $set: { trackUnits: true, updatedAt: new Date() } },
+              { session }
+            );
+            if (!asset) throw new HttpError(404, "Asset not found");
+            if (asset.bookable)
+              throw new HttpError(
+                409,
+                "Bookable assets cannot be tracked by unit"
+              );
+
+            const registered = await assetUnitsCollection.countDocuments(
+              { assetId, status: { $ne: "retired" } },
+              { session }
+            );
+            if (registered + units.length > asset.quantity) {
+              throw new HttpError(
+                409,
+                `Asset has ${asset.quantity} unit(s) and ${registered} are registered. Raise the quantity first.`
+              );
+            }
+
+            // new units start out available, so they must be on the shelf;
+            // units out with employees are registered once they come back
+            const onShelf = await assetUnitsCollection.countDocuments(
+              { assetId, status: "available" },
+              { session }
+            );
+            if (onShelf + units.length > asset.availableQuantity) {
+              throw new HttpError(
+                409,
+                `Only ${asset.availableQuantity} unit(s) are in stock and ${onShelf} are registered`
+              );
+            }
+
+            const now = new Date();
+            const docs = units.map((unit) => ({
+              ...unit,
+              assetId,
+              assetName: asset.name,
+              companyId: req.companyId,
+              status: "available",
+              createdAt: now,
+              updatedAt: now,
+            }));
+            const result = await assetUnitsCollection.insertMany(docs, {
+              session,
+            });
+
+            await recordAudit(
+              {
+                companyId: req.companyId,
+                actor: req.tokenEmail,
+                action: "unit.create",
+                targetType: "asset",
+                targetId: assetId,
+                after: {
+                  unitIds: Object.values(result.insertedIds),
+                  count: result.insertedCount,
+                },
+              },
+              session
+            );
+
+            return docs.map((doc, i) => ({
+              ...doc,
+              _id: result.insertedIds[i],
+            }));
+          });
+
+          res
+            .status(201)
+            .send({ message: "Units registered", units: inserted });
+        } catch (err) {
+          if (err instanceof HttpError)
+            return res.status(err.status).send({ message: err.message });
+          if (err.code === 11000)
+            return res.status(409).send({
+              message: "A unit with that serial number or tag already exists",
+            });
+          console.error(err);
+          res.status(500).send({ message: "Failed to register units", err });
+        }
+      }
+    );
+
+    // Edit a unit's labels or move it between available, in repair and
+    // retired. Retiring needs a reason and goes through the same path as
+    // POST /assets/:id/retire. A unit with an open maintenance record only
+    // changes status by completing that record.
+    app.patch(
+      "/asset-units/:id",
+      verifyJWT,
+      verifyHR,
+      canManage,
+      async (req, res) => {
+        try {
+          const { status } = req.body;
+          const labels = {};
+          for (const field of ["serialNumber", "tag", "notes"]) {
+            if (req.body[field] === undefined) continue;
+            if (typeof req.body[field] !== "string")
+              return res.status(400).send({ message: `Invalid ${field}` });
+            labels[field] = req.body[field].trim();
+          }
+          if (status !== undefined && !UNIT_STATUSES.includes(status))
+            return res.status(400).send({ message: "Invalid unit status" });
+          if (status === undefined && !Object.keys(labels).length)
+            return res.status(400).send({ message: "Nothing to update" });
+          const { outcome = "retired", reason } = req.body;
+          if (status === "retired") {
+            if (!RETIREMENT_OUTCOMES.includes(outcome))
+              return res.status(400).send({
+                message: `Outcome must be one of: ${RETIREMENT_OUTCOMES.join(
+                  ", "
+                )}`,
+              });
+            if (typeof reason !== "string" || !reason.trim())
+              return res
+                .status(400)
+                .send({ message: "A reason is required to retire a unit" });
+          }
+
+          let alert = null;
+          const unit = await runTransaction(async (session) => {
+            alert = null;
+            const current = await findCompanyUnit(
+              req.params.id,
+              req.companyId,
+              session
+            );
+
+            const changing = status !== undefined && status !== current.status;
+            if (changing) {
+              if (!UNIT_TRANSITIONS[current.status].includes(status)) {
+                throw new HttpError(
+                  409,
+                  `A unit cannot go from ${current.status} to ${status}`
+                );
+              }
+              if (await underMaintenance(current, session))
+                throw new HttpError(
+                  409,
+                  "The unit has an open maintenance record, complete that instead"
+                );
+            }
+
+            if (changing && status === "retired") {
+              const asset = await assetsCollection.findOne(
+                { _id: current.assetId, deletedAt: null },
+                { session }
+              );
+              if (!asset) throw new HttpError(404, "Asset not found");
+              ({ alert } = await retireStock(
+                req,
+                { asset, unit: current, quantity: 1 },
+                { outcome, reason },
+                session
+              ));
+              if (!Object.keys(labels).length)
+                return assetUnitsCollection.findOne(
+                  { _id: current._id },
+                  { session }
+                );
+            }
+
+            const set = { ...labels, updatedAt: new Date() };
+            if (changing && status !== "retired") {
+              set.status = status;
+
+              // only "available" units count as availableQuantity
+              const available =
+                (status === "available" ? 1 : 0) -
+                (current.status === "available" ? 1 : 0);
+              // guard so stock never goes negative
+              const asset = await assetsCollection.findOneAndUpdate(
+                {
+                  _id: current.assetId,
+                  ...(available < 0 && { availableQuantity: { $gt: 0 } }),
+                },
+                { $inc: { availableQuantity: available } },
+                { session }
+              );
+              if (!asset)
+                throw new HttpError(409, "Asset stock is out of step");
+              alert = await raiseStockAlert(
+                asset,
+                {
+                  ...asset,
+                  availableQuantity: asset.availableQuantity + available,
+                },
+                session
+              );
+            }
+
+            // guarded on the status read above, unless it was just retired
+            const updated = await assetUnitsCollection.findOneAndUpdate(
+              {
+                _id: current._id,
+                ...(set.status && {
+                  status: current.status,
+                  maintenanceId: null,
+                }),
+              },
+              { $set: set },
+              { session, returnDocument: "after" }
+            );
+            if (!updated) throw new HttpError(409, "Unit changed, try again");
+
+            await recordAudit(
+              {
+                companyId: req.companyId,
+                actor: req.tokenEmail,
+                action: "unit.update",
+                targetType: "assetUnit",
+                targetId: current._id,
+                before: current,
+                after: updated,
+              },
+              session
+            );
+            return updated;
+          });
+
+          await notifyStockAlert(alert);
+
+          res.send({ message: "Unit updated", unit });
+        } catch (err) {
+          if (err instanceof HttpError)
+            return res.status(err.status).send({ message: err.message });
+          if (err.code === 11000)
+            return res.status(409).send({
+              message: "A unit with that serial number or tag already exists",
+            });
+          res.status(500).send({ message: "Failed to update unit", err });
+        }
+      }
+    );
+
+    // Scan an asset tag: the unit, its asset and who holds it now
+    app.get(
+      "/asset-units/by-tag/:tag",
+      verifyJWT,
+      verifyHR,
+      async (req, res) => {
+        try {
+          const unit = await assetUnitsCollection.findOne({
+            companyId: req.companyId,
+            tag: req.params.tag.trim(),
+          });
+          if (!unit) return res.status(404).send({ message: "Unit not found" });
+
+          const [asset, assignment] = await Promise.all([
+            assetsCollection.findOne({ _id: unit.assetId }),
+            unit.currentAssignmentId
+              ? assignedAssetsCollection.findOne({
+                  _id: unit.currentAssignmentId,
+                })
+              : null,
+          ]);
+
+          res.send({
+            unit,
+            asset: asset && {
+              _id: asset._id,
+              name: asset.name,
+              type: asset.type,
+              productImage: asset.productImage,
+              deletedAt: asset.deletedAt ?? null,
+            },
+            holder: assignment && {
+              employeeName: assignment.employeeName,
+              employeeEmail: assignment.employeeEmail,
+              assignmentDate: assignment.assignmentDate,
+              status: assignment.status,
+            },
+          });
+        } catch (err) {
+          res.status(500).send({ message: "Error looking up tag", err });
+        }
+      }
+    );
+
+    // Every holder of a unit over time, plus its status changes
+    app.get(
+      "/asset-units/:id/history",
+      verifyJWT,
+      verifyHR,
+      async (req, res) => {
+        try {
+          const unit = await findCompanyUnit(req.params.id, req.companyId);
+
+          const [holders, events] = await Promise.all([
+            assignedAssetsCollection
+              .find({ unitId: unit._id })
+              .project({
+                employeeName: 1,
+                employeeEmail: 1,
+                assignedBy: 1,
+                assignmentDate: 1,
+                returnDate: 1,
+                returnCondition: 1,
+                status: 1,
+              })
+              .sort({ assignmentDate: 1 })
+              .toArray(),
+            auditLogCollection
+              .find({
+                companyId: req.companyId,
+                targetType: "assetUnit",
+                targetId: unit._id,
+              })
+              .project({
+                actor: 1,
+                action: 1,
+                before: 1,
+                after: 1,
+                createdAt: 1,
+              })
+              .sort({ createdAt: 1 })
+              .toArray(),
+          ]);
+
+          res.send({
+            unit,
+            holders,
+            events: events.map((event) => ({
+              actor: event.actor,
+              action: event.action,
+              from: event.before?.status ?? null,
+              to: event.after?.status ?? null,
+              createdAt: event.createdAt,
+            })),
+          });
+        } catch (err) {
+          if (err instanceof HttpError)
+            return res.status(err.status).send({ message: err.message });
+          res.status(500).send({ message: "Error fetching unit history", err });
+        }
+      }
+    );
+
+    // Maintenance & Retirement (HR)
+
+    // Units leave stock for one of these records:
+    //   type "maintenance": out for repair; availableQuantity drops until
+    //     the record is completed as repaired (back in stock) or retired /
+    //     disposed (off the quantity for good)
+    //   type "retirement": stock retired or disposed of straight away
+    // A tracked asset moves one unit per record (unitId), otherwise a
+    // quantity of untracked stock.
+
+    // Loads the asset and the units a record will move. Fails with 4xx when
+    // they are not on the shelf, or, for a bookable asset, when what is left
+    // could not cover its bookings from now until the stock is back.
+    const takeFromStock = async (req, session, until = END_OF_TIME) => {
+      if (!ObjectId.isValid(req.params.id))
+        throw new HttpError(400, "Invalid asset id");
+      const asset = await assetsCollection.findOne(
+        {
+          _id: new ObjectId(req.params.id),
+          companyId: req.companyId,
+          deletedAt: null,
+        },
+        { session }
+      );
+      if (!asset) throw new HttpError(404, "Asset not found");
+
+      const { unitId } = req.body;
+      if (asset.trackUnits) {
+        if (!ObjectId.isValid(unitId))
+          throw new HttpError(400, "Pick the unit by unitId");
+        // a unit that came back damaged is already out of stock
+        const unit = await assetUnitsCollection.findOne(
+          {
+            _id: new ObjectId(unitId),
+            assetId: asset._id,
+            status: { $in: ["available", "in_repair"] },
+          },
+          { session }
+        );
+        if (!unit) throw new HttpError(409, "That unit is not on the shelf");
+        if (await underMaintenance(unit, session))
+          throw new HttpError(
+            409,
+            "That unit already has an open maintenance record"
+          );
+        return { asset, unit, quantity: 1 };
+      }
+
+      const quantity =
+        req.body.quantity === undefined ? 1 : Number(req.body.quantity);
+      if (!Number.isInteger(quantity) || quantity <= 0)
+        throw new HttpError(400, "Invalid quantity");
+      if (quantity > asset.availableQuantity)
+        throw new HttpError(
+          409,
+          `Only ${asset.availableQuantity} unit(s) are available`
+        );
+
+      if (asset.bookable) {
+        const now = new Date();
+        const booked = peakOverlap(
+          await findBookings(asset._id, now, until, session),
+          now,
+          until
+        );
+        if (booked > bookableCapacity(asset) - quantity)
+          throw new HttpError(
+            409,
+            `${booked} of the ${bookableCapacity(
+              asset
+            )} unit(s) are booked in that time`
+          );
+      }
+      return { asset, unit: null, quantity };
+    };
+
+    // $inc for an asset when units go out of stock (or come back, with a
+    // negative quantity). Bookable stock also drops, as it is every unit
+    // not in maintenance.
+    const stockOut = ({ unit, quantity }) =>
+      unit && unit.status === "in_repair"
+        ? {}
+        : { availableQuantity: -quantity };
+
+    // Takes stock from takeFromStock off the quantity for good, with a
+    // completed "retirement" record
+    const retireStock = async (req, taken, { outcome, reason }, session) => {
+      const { asset, unit, quantity } = taken;
+      const now = new Date();
+
+      const before = await assetsCollection.findOneAndUpdate(
+        {
+          _id: asset._id,
+          ...(stockOut(taken).availableQuantity && {
+            availableQuantity: { $gte: quantity },
+          }),
+        },
+        {
+          $inc: {
+            ...stockOut(taken),
+            quantity: -quantity,
+            [`${outcome}Quantity`]: quantity,
+          },
+          $set: { updatedAt: now },
+        },
+        { session }
+      );
+      if (!before) throw new HttpError(409, "Stock changed, try again");
+      if (unit) {
+        await moveUnit(
+          unit,
+          { $set: { status: "retired", updatedAt: now } },
+          session
+        );
+      }
+
+      const record = {
+        type: "retirement",
+        companyId: req.companyId,
+        assetId: asset._id,
+        assetName: asset.name,
+        ...(unit && {
+          unitId: unit._id,
+          serialNumber: unit.serialNumber ?? null,
+          tag: unit.tag ?? null,
+        }),
+        quantity,
+        cost: 0,
+        status: "completed",
+        outcome,
+        reason: reason.trim(),
+        startedBy: req.tokenEmail,
+        startedAt: now,
+        completedBy: req.tokenEmail,
+        completedAt: now,
+      };
+      const result = await maintenanceCollection.insertOne(record, {
+        session,
+      });
+      record._id = result.insertedId;
+
+      await recordAudit(
+        {
+          companyId: req.companyId,
+          actor: req.tokenEmail,
+          action: `asset.${outcome === "disposed" ? "dispose" : "retire"}`,
+          targetType: unit ? "assetUnit" : "asset",
+          targetId: unit ? unit._id : asset._id,
+          before: unit ? { status: unit.status } : null,
+          after: unit ? { status: "retired" } : record,
+        },
+        session
+      );
+
+      const alert = await raiseStockAlert(
+        before,
+        {
+          ...before,
+          availableQuantity:
+            before.availableQuantity + (stockOut(taken).availableQuantity || 0),
+        },
+        session
+      );
+      return { record, alert };
+    };
+
+    // Send stock or a unit to maintenance
+    app.post(
+      "/assets/:id/maintenance",
+      verifyJWT,
+      verifyHR,
+      canManage,
+      async (req, res) => {
+        try {
+          const { error, value } = readMaintenanceFields(req.body);
+          if (error) return res.status(400).send({ message: error });
+          if (!value.vendor)
+            return res.status(400).send({ message: "Vendor is required" });
+
+          const { record, alert } = await runTransaction(async (session) => {
+            // without an expected return date it may be gone for good
+            const taken = await takeFromStock(
+              req,
+              session,
+              value.expectedReturnDate ?? END_OF_TIME
+            );
+            const { asset, unit, quantity } = taken;
+            const now = new Date();
+
+            const before = await assetsCollection.findOneAndUpdate(
+              {
+                _id: asset._id,
+                ...(!unit && { availableQuantity: { $gte: quantity } }),
+              },
+              // a damaged unit is already out of stock: nothing to $inc
+              unit && unit.status === "in_repair"
+                ? { $set: { updatedAt: now } }
+                : {
+                    $inc: {
+                      ...stockOut(taken),
+                      ...(!unit && { maintenanceQuantity: quantity }),
+                    },
+                    $set: { updatedAt: now },
+                  },
+              { session }
+            );
+            if (!before) throw new HttpError(409, "Stock changed, try again");
+            const maintenanceId = new ObjectId();
+            if (unit) {
+              await moveUnit(
+                unit,
+                {
+                  $set: { status: "in_repair", maintenanceId, updatedAt: now },
+                },
+                session
+              );
+            }
+
+            const record = {
+              _id: maintenanceId,
+              type: "maintenance",
+              companyId: req.companyId,
+              assetId: asset._id,
+              assetName: asset.name,
+              ...(unit && {
+                unitId: unit._id,
+                serialNumber: unit.serialNumber ?? null,
+                tag: unit.tag ?? null,
+              }),
+              quantity,
+              vendor: value.vendor,
+              notes: value.notes || "",
+              cost: value.cost ?? 0,
+              expectedReturnDate: value.expectedReturnDate ?? null,
+              status: "open",
+              startedBy: req.tokenEmail,
+              startedAt: now,
+            };
+            await maintenanceCollection.insertOne(record, { session });
+
+            await recordAudit(
+              {
+                companyId: req.companyId,
+                actor: req.tokenEmail,
+                action: "maintenance.start",
+                targetType: unit ? "assetUnit" : "asset",
+                targetId: unit ? unit._id : asset._id,
+                before: unit ? { status: unit.status } : null,
+                after: unit ? { status: "in_repair" } : record,
+              },
+              session
+            );
+
+            const alert = await raiseStockAlert(
+              before,
+              {
+                ...before,
+                availableQuantity:
+                  before.availableQuantity +
+                  (stockOut(taken).availableQuantity || 0),
+              },
+              session
+            );
+            return { record, alert };
+          });
+          await notifyStockAlert(alert);
+
+          res.status(201).send({ message: "Sent to maintenance", record });
+        } catch (err) {
+          if (err instanceof HttpError)
+            return res.status(err.status).send({ message: err.message });
+          console.error(err);
+          res.status(500).send({ message: "Failed to start maintenance", err });
+        }
+      }
+    );
+
+    // Close a maintenance record: back in service, or retired / disposed
+    // with a reason. Body: { outcome, reason, cost }
+    app.patch(
+      "/maintenance/:id/complete",
+      verifyJWT,
+      verifyHR,
+      canManage,
+      async (req, res) => {
+        try {
+          if (!ObjectId.isValid(req.params.id))
+            return res.status(400).send({ message: "Invalid maintenance id" });
+          const { outcome, reason } = req.body;
+          if (!MAINTENANCE_OUTCOMES.includes(outcome))
+            return res.status(400).send({
+              message: `Outcome must be one of: ${MAINTENANCE_OUTCOMES.join(
+                ", "
+              )}`,
+            });
+          const writtenOff = RETIREMENT_OUTCOMES.includes(outcome);
+          if (writtenOff && (typeof reason !== "string" || !reason.trim()))
+            return res
+              .status(400)
+              .send({ message: "A reason is required to retire stock" });
+          const { error, value } = readMaintenanceFields({
+            cost: req.body.cost,
+          });
+          if (error) return res.status(400).send({ message: error });
+
+          const record = await runTransaction(async (session) => {
+            const now = new Date();
+            const record = await maintenanceCollection.findOneAndUpdate(
+              {
+                _id: new ObjectId(req.params.id),
+                companyId: req.companyId,
+                status: "open",
+              },
+              {
+                $set: {
+                  status: "completed",
+                  outcome,
+                  reason: writtenOff ? reason.trim() : "",
+                  ...(value.cost !== undefined && { cost: value.cost }),
+                  completedBy: req.tokenEmail,
+                  completedAt: now,
+                },
+              },
+              { session, returnDocument: "after" }
+            );
+            if (!record)
+              throw new HttpError(404, "No open maintenance record found");
+
+            const { quantity, unitId } = record;
+            const asset = await assetsCollection.findOneAndUpdate(
+              { _id: record.assetId },
+              {
+                $inc: writtenOff
+                  ? {
+                      quantity: -quantity,
+                      [`${outcome}Quantity`]: quantity,
+                      ...(!unitId && { maintenanceQuantity: -quantity }),
+                    }
+                  : {
+                      availableQuantity: quantity,
+                      ...(!unitId && { maintenanceQuantity: -quantity }),
+                    },
+                $set: { updatedAt: now },
+              },
+              { session, returnDocument: "after" }
+            );
+            if (unitId) {
+              // the unit must still be in repair on this record (records
+              // opened before units carried maintenanceId have none)
+              const { matchedCount } = await assetUnitsCollection.updateOne(
+                {
+                  _id: unitId,
+                  status: "in_repair",
+                  maintenanceId: { $in: [record._id, null] },
+                },
+                {
+                  $set: {
+                    status: writtenOff ? "retired" : "available",
+                    updatedAt: now,
+                  },
+                  $unset: { maintenanceId: "" },
+                },
+                { session }
+              );
+              if (!matchedCount)
+                throw new HttpError(409, "That unit is no longer in repair");
+            }
+            if (asset && !writtenOff) await resolveStockAlerts(asset, session);
+
+            await recordAudit(
+              {
+                companyId: req.companyId,
+                actor: req.tokenEmail,
+                action: "maintenance.complete",
+                targetType: unitId ? "assetUnit" : "asset",
+                targetId: unitId || record.assetId,
+                before: unitId ? { status: "in_repair" } : null,
+                after: unitId
+                  ? { status: writtenOff ? "retired" : "available" }
+                  : record,
+              },
+              session
+            );
+            return record;
+          });
+
+          res.send({ message: `Maintenance closed: ${outcome}`, record });
+        } catch (err) {
+          if (err instanceof HttpError)
+            return res.status(err.status).send({ message: err.message });
+          console.error(err);
+          res
+            .status(500)
+            .send({ message: "Failed to complete maintenance", err });
+        }
+      }
+    );
+
+    // Retire or dispose of stock straight off the shelf.
+    // Body: { outcome: "retired" | "disposed", reason, quantity | unitId }
+    app.post(
+      "/assets/:id/retire",
+      verifyJWT,
+      verifyHR,
+      canManage,
+      async (req, res) => {
+        try {
+          const { outcome = "retired", reason } = req.body;
+          if (!RETIREMENT_OUTCOMES.includes(outcome))
+            return res.status(400).send({
+              message: `Outcome must be one of: ${RETIREMENT_OUTCOMES.join(
+                ", "
+              )}`,
+            });
+          if (typeof reason !== "string" || !reason.trim())
+            return res.status(400).send({ message: "A reason is required" });
+
+          const { record, alert } = await runTransaction(async (session) =>
+            retireStock(
+              req,
+              await takeFromStock(req, session),
+              { outcome, reason },
+              session
+            )
+          );
+          await notifyStockAlert(alert);
+
+          res.send({ message: `Stock ${outcome}`, record });
+        } catch (err) {
+          if (err instanceof HttpError)
+            return res.status(err.status).send({ message: err.message });
+          console.error(err);
+          res.status(500).send({ message: "Failed to retire stock", err });
+        }
+      }
+    );
+
+    // Maintenance and retirement records with their total cost.
+    // GET /maintenance?status=open&type=maintenance&assetId=...&from=&to=
+    // (from/to filter on startedAt); /assets/:id/maintenance is the same,
+    // scoped to one asset.
+    const sendMaintenance = (scopeToAsset) => async (req, res) => {
+      try {
+        const query = { companyId: req.companyId };
+        const assetId = scopeToAsset ? req.params.id : req.query.assetId;
+        if (assetId !== undefined) {
+          if (!ObjectId.isValid(assetId))
+            return res.status(400).send({ message: "Invalid asset id" });
+          query.assetId = new ObjectId(assetId);
+        }
+        if (req.query.status) query.status = String(req.query.status);
+        if (req.query.type) query.type = String(req.query.type);
+        const startedAt = parseDateRange(req.query);
+        if (startedAt) query.startedAt = startedAt;
+
+        const { page, limit, skip } = parsePagination(req.query, 20);
+        const [records, total, [totals]] = await Promise.all([
+          maintenanceCollection
+            .find(query)
+            .sort({ startedAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .toArray(),
+          maintenanceCollection.countDocuments(query),
+          maintenanceCollection
+            .aggregate([
+              { $match: query },
+              {
+                $group: {
+                  _id: null,
+                  totalCost: { $sum: "$cost" },
+                  units: { $sum: "$quantity" },
+                },
+              },
+            ])
+            .toArray(),
+        ]);
+
+        const now = new Date();
+        res.send({
+          records: records.map((record) => ({
+            ...record,
+            overdue:
+              record.status === "open" &&
+              Boolean(record.expectedReturnDate) &&
+              record.expectedReturnDate < now,
+          })),
+          totalCost: totals?.totalCost ?? 0,
+          units: totals?.units ?? 0,
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit),
+        });
+      } catch (err) {
+        if (err instanceof HttpError)
+          return res.status(err.status).send({ message: err.message });
+        res.status(500).send({ message: "Error fetching maintenance", err });
+      }
+    };
+
+    app.get("/maintenance", verifyJWT, verifyHR, sendMaintenance(false));
+    app.get(
+      "/assets/:id/maintenance",
+      verifyJWT,
+      verifyHR,
+      sendMaintenance(true)
+    );
+
+    // Employee Requests
+
+    // POST /requests
+    app.post("/requests", verifyJWT, verifyEmployee, async (req, res) => {
+      try {
+        const { assetId, note } = req.body;
+
+        // 1. Find the asset in DB
+        if (!ObjectId.isValid(assetId))
+          return res.status(400).send({ message: "Invalid asset id" });
+
+        const asset = await assetsCollection.findOne({
+          _id: new ObjectId(assetId),
+          deletedAt: null,
+        });
+
+        if (!asset) {
+          return res.status(404).send({ message: "Asset not found" });
+        }
+
+        let booking = null;
+        if (asset.bookable) {
+          const { error, value } = parseBookingWindow(req.body);
+          if (error) return res.status(400).send({ message: error });
+          booking = value;
+        } else if (asset.availableQuantity < 1) {
+          return res.status(400).send({ message: "Asset not available" });
+        }
+
+        // only members of the owning company may request its assets
+        const affiliation = await employeeAffiliationsCollection.findOne({
+          employeeEmail: req.tokenEmail,
+          companyId: asset.companyId,
+          status: "active",
+        });
+        if (!affiliation) {
+          return res.status(403).send({
+            message: "Join this company before requesting its assets",
+          });
+        }
+
+        // early answer only; approval re-checks inside a transaction
+        if (booking) {
+          const bookings = await findBookings(
+            asset._id,
+            booking.start,
+            booking.end
+          );
+          if (
+            peakOverlap(bookings, booking.start, booking.end) >=
+            bookableCapacity(asset)
+          )
+            return res
+              .status(409)
+              .send({ message: "Asset is fully booked for those dates" });
+        }
+
+        // 2. Check if employee already requested this asset and it's pending
+        const existingRequest = await requestsCollection.findOne({
+          assetId: asset._id,
+          requesterEmail: req.tokenEmail,
+          requestStatus: "pending",
+          // one asset can be booked for several separate windows
+          ...(booking && {
+            bookingStart: { $lt: booking.end },
+            bookingEnd: { $gt: booking.start },
+          }),
+        });
+
+        if (existingRequest) {
+          return res
+            .status(400)
+            .send({ message: "You already requested this asset" });
+        }
+
+        // 3. Fetch employee info
+        const employee = await usersCollection.findOne({
+          email: req.tokenEmail,
+        });
+
+        // 4. Create request object with correct asset fields
+        const request = {
+          assetId: asset._id,
+          assetName: asset.name,
+          assetType: asset.type,
+          assetImage: asset.productImage,
+          requesterEmail: req.tokenEmail,
+          requesterName: employee.name,
+          companyId: asset.companyId,
+          companyName: asset.companyName || "N/A",
+          requestDate: new Date(),
+          requestStatus: "pending",
+          note: note || "",
+          ...(booking && {
+            bookingStart: booking.start,
+            bookingEnd: booking.end,
+          }),
+        };
+
+        // 5. Insert into requests collection
+        const result = await requestsCollection.insertOne(request);
+        await recordAudit({
+          companyId: request.companyId,
+          actor: req.tokenEmail,
+          action: "request.create",
+          targetType: "request",
+          targetId: result.insertedId,
+          after: request,
+        });
+        await notify(await companyHrEmails(request.companyId), {
+          type: "request.created",
+          title: "New asset request",
+          message: `${request.requesterName} requested ${request.assetName}`,
+          data: { requestId: result.insertedId, assetId: asset._id },
+        });
+
+        res.send({
+          message: "Request created successfully",
+          request: { ...request, _id: result.insertedId },
+        });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ message: "Request creation failed", err });
+      }
+    });
+
+    // Get All Requests (HR)
+
+    app.get("/requests/all", verifyJWT, verifyHR, async (req, res) => {
+      try {
+        const { page, limit, skip } = parsePagination(req.query);
+        const query = {
+          ...buildRequestFilters(req.query),
+          companyId: req.companyId,
+        };
+
+        const [requests, total] = await Promise.all([
+          requestsCollection
+            .find(query)
+            .project({
+              requesterName: 1,
+              requesterEmail: 1,
+              assetName: 1,
+              assetType: 1,
+              assetImage: 1,
+              requestDate: 1,
+              requestStatus: 1,
+              approvalDate: 1,
+              note: 1,
+              hrNote: 1,
+            })
+            .sort({ requestDate: -1, _id: -1 })
+            .skip(skip)
+            .limit(limit)
+            .toArray(),
+          requestsCollection.countDocuments(query),
+        ]);
+
+        res.send({
+          requests,
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit),
+        });
+      } catch (err) {
+        if (err instanceof HttpError)
+          return res.status(err.status).send({ message: err.message });
+        console.error(err);
+        res.status(500).send({ message: "Failed to fetch requests" });
+      }
+    });
+
+    // Employee's own request history
+    app.get("/requests/my", verifyJWT, verifyEmployee, async (req, res) => {
+      try {
+        const { page, limit, skip } = parsePagination(req.query);
+        const query = {
+          ...buildRequestFilters(req.query),
+          requesterEmail: req.tokenEmail,
+        };
+
+        const [requests, total] = await Promise.all([
+          requestsCollection
+            .find(query)
+            .project({
+              assetId: 1,
+              assetName: 1,
+              assetType: 1,
+              assetImage: 1,
+              companyName: 1,
+              requestDate: 1,
+              requestStatus: 1,
+              approvalDate: 1,
+              note: 1,
+              hrNote: 1,
+              cancelledAt: 1,
+              cancelReason: 1,
+            })
+            .sort({ requestDate: -1, _id: -1 })
+            .skip(skip)
+            .limit(limit)
+            .toArray(),
+          requestsCollection.countDocuments(query),
+        ]);
+
+        res.send({
+          requests,
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit),
+        });
+      } catch (err) {
+        if (err instanceof HttpError)
+          return res.status(err.status).send({ message: err.message });
+        console.error(err);
+        res.status(500).send({ message: "Failed to fetch requests" });
+      }
+    });
+
+    // Withdraw a request while it is still pending
+    app.patch(
+      "/requests/:id/cancel",
+      verifyJWT,
+      verifyEmployee,
+      async (req, res) => {
+        try {
+          if (!ObjectId.isValid(req.params.id))
+            return res.status(400).send({ message: "Invalid request" });
+          const requestId = new ObjectId(req.params.id);
+
+          const request = await requestsCollection.findOneAndUpdate(
+            {
+              _id: requestId,
+              requesterEmail: req.tokenEmail,
+              requestStatus: "pending",
+            },
+            {
+              $set: {
+                requestStatus: "cancelled",
+                cancelledAt: new Date(),
+                cancelledBy: req.tokenEmail,
+              },
+            }
+          );
+
+          if (!request) {
+            const exists = await requestsCollection.findOne({
+              _id: requestId,
+              requesterEmail: req.tokenEmail,
+            });
+            if (!exists)
+              return res.status(404).send({ message: "Request not found" });
+            return res
+              .status(409)
+              .send({ message: "Only pending requests can be cancelled" });
+          }
+
+          await recordAudit({
+            companyId: request.companyId,
+            actor: req.tokenEmail,
+            action: "request.cancel",
+            targetType: "request",
+            targetId: requestId,
+            before: request,
+            after: {
+              ...request,
+              requestStatus: "cancelled",
+              cancelledBy: req.tokenEmail,
+            },
+          });
+          await notify(await companyHrEmails(request.companyId), {
+            type: "request.cancelled",
+            title: "Request withdrawn",
+            message: `${request.requesterName} withdrew the request for ${request.assetName}`,
+            data: { requestId },
+          });
+
+          res.send({ message: "Request cancelled" });
+        } catch (err) {
+          res.status(500).send({ message: "Cancellation failed", err });
+        }
+      }
+    );
+
+    // Backend route: Get current HR info
+    app.get("/hr/me", verifyJWT, verifyHR, async (req, res) => {
+      try {
+        const hr = await usersCollection.findOne(
+          { email: req.tokenEmail },
+          { projection: { name: 1, email: 1, hrRole: 1 } }
+        );
+
+        if (!hr) return res.status(404).send({ message: "HR not found" });
+        const company = await companiesCollection.findOne({
+          _id: req.companyId,
+        });
+
+        res.send({
+          companyId: req.companyId,
+          companyName: company?.name || "N/A",
+          name: hr.name,
+          email: hr.email,
+          hrRole: req.hrRole,
+        });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ message: "Failed to fetch HR info", err });
+      }
+    });
+
+    // Company & HR Members
+
+    const HR_ROLES = ["owner", "manager", "viewer"];
+
+    app.get("/company", verifyJWT, verifyHR, async (req, res) => {
+      try {
+        const company = await companiesCollection.findOne({
+          _id: req.companyId,
+        });
+        if (!company)
+          return res.status(404).send({ message: "Company not found" });
+
+        const members = await usersCollection
+          .find({ role: "hr", companyId: req.companyId })
+          .project({ name: 1, email: 1, profileImage: 1, hrRole: 1 })
+          .toArray();
+
+        res.send({ ...company, members });
+      } catch (err) {
+        res.status(500).send({ message: "Failed to fetch company", err });
+      }
+    });
+
+    // Rename / rebrand. The copies of the name on assets, requests,
+    // assignments and affiliations are updated with it.
+    app.patch("/company", verifyJWT, verifyHR, ownerOnly, async (req, res) => {
+      try {
+        const { companyName, companyLogo } = req.body;
+        const set = {};
+        if (companyName !== undefined) {
+          if (!companyName)
+            return res.status(400).send({ message: "Invalid company name" });
+          set.name = companyName;
+        }
+        if (companyLogo !== undefined) set.logo = companyLogo;
+        if (!Object.keys(set).length)
+          return res.status(400).send({ message: "Nothing to update" });
+
+        const company = await runTransaction(async (session) => {
+          const before = await companiesCollection.findOneAndUpdate(
+            { _id: req.companyId },
+            { $set: { ...set, updatedAt: new Date() } },
+            { session }
+          );
+          if (!before) throw new HttpError(404, "Company not found");
+
+          if (set.name) {
+            const filter = { companyId: req.companyId };
+            const copy = { $set: { companyName: set.name } };
+            await assetsCollection.updateMany(filter, copy, { session });
+            await requestsCollection.updateMany(filter, copy, { session });
+            await assignedAssetsCollection.updateMany(filter, copy, {
+              session,
+            });
+            await employeeAffiliationsCollection.updateMany(filter, copy, {
+              session,
+            });
+            await usersCollection.updateMany(
+              { "companyAffiliations.companyId": req.companyId },
+              {
+                $set: {
+                  "companyAffiliations.$[aff].companyName": set.name,
+                },
+              },
+              { session, arrayFilters: [{ "aff.companyId": req.companyId }] }
+            );
+          }
+
+          const after = { ...before, ...set };
+          await recordAudit(
+            {
+              companyId: req.companyId,
+              actor: req.tokenEmail,
+              action: "company.update",
+              targetType: "company",
+              targetId: req.companyId,
+              before,
+              after,
+            },
+            session
+          );
+          return after;
+        });
+
+        res.send({ message: "Company updated", company });
+      } catch (err) {
+        if (err instanceof HttpError)
+          return res.status(err.status).send({ message: err.message });
+        res.status(500).send({ message: "Failed to update company", err });
+      }
+    });
+
+    // Only accounts that are not staff elsewhere can become an HR: a fresh
+    // registration or an employee with no active company
+    const canBecomeHr = async (user, session) => {
+      if (user.companyId || !["employee", undefined, null].includes(user.role))
+        return false;
+      const activeAffiliations =
+        await employeeAffiliationsCollection.countDocuments(
+          { employeeEmail: user.email, status: "active" },
+          { session }
+        );
+      return !activeAffiliations;
+    };
+
+    // Invite a registered user to become another HR of this company. Nothing
+    // changes on their account until they accept.
+    app.post(
+      "/company/members",
+      verifyJWT,
+      verifyHR,
+      ownerOnly,
+      async (req, res) => {
+        try {
+          const { hrRole = "manager" } = req.body;
+          const email = normalizeEmail(req.body.email);
+          if (!email || !HR_ROLES.includes(hrRole))
+            return res.status(400).send({ message: "Invalid member details" });
+
+          const user = await usersCollection.findOne({ email });
+          if (!user)
+            return res
+              .status(404)
+              .send({ message: "User must register before being added" });
+          if (!(await canBecomeHr(user)))
+            return res.status(409).send({
+              message:
+                "Only users who are not HR, admin or an active employee can be added",
+            });
+
+          const company = await companiesCollection.findOne({
+            _id: req.companyId,
+          });
+
+          // a new invitation replaces any earlier one for the same email
+          await hrInvitationsCollection.updateMany(
+            { companyId: req.companyId, email, status: "pending" },
+            { $set: { status: "revoked", respondedAt: new Date() } }
+          );
+
+          const invitation = {
+            companyId: req.companyId,
+            companyName: company?.name || "N/A",
+            email,
+            hrRole,
+            invitedBy: req.tokenEmail,
+            status: "pending",
+            expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * DAY_MS),
+            createdAt: new Date(),
+          };
+          const result = await hrInvitationsCollection.insertOne(invitation);
+
+          await recordAudit({
+            companyId: req.companyId,
+            actor: req.tokenEmail,
+            action: "company.member_invite",
+            targetType: "user",
+            targetId: user._id,
+            after: { email, hrRole, expiresAt: invitation.expiresAt },
+          });
+          await notify(email, {
+            type: "hr_invitation.received",
+            title: "HR invitation",
+            message: `${invitation.companyName} invited you to join as ${hrRole}`,
+            data: { invitationId: result.insertedId },
+          });
+
+          res.status(201).send({
+            message: "HR invitation sent",
+            invitationId: result.insertedId,
+            expiresAt: invitation.expiresAt,
+          });
+        } catch (err) {
+          res.status(500).send({ message: "Failed to add HR member", err });
+        }
+      }
+    );
+
+    app.get(
+      "/company/members/invitations",
+      verifyJWT,
+      verifyHR,
+      ownerOnly,
+      async (req, res) => {
+        try {
+          const invitations = await hrInvitationsCollection
+            .find({ companyId: req.companyId })
+            .sort({ createdAt: -1 })
+            .toArray();
+
+          const now = new Date();
+          res.send(
+            invitations.map((invitation) => ({
+              ...invitation,
+              expired:
+                invitation.status === "pending" && invitation.expiresAt <= now,
+            }))
+          );
+        } catch (err) {
+          res
+            .status(500)
+            .send({ message: "Failed to fetch HR invitations", err });
+        }
+      }
+    );
+
+    app.delete(
+      "/company/members/invitations/:id",
+      verifyJWT,
+      verifyHR,
+      ownerOnly,
+      async (req, res) => {
+        try {
+          if (!ObjectId.isValid(req.params.id))
+            return res.status(400).send({ message: "Invalid invitation id" });
+
+          const invitation = await hrInvitationsCollection.findOneAndUpdate(
+            {
+              _id: new ObjectId(req.params.id),
+              companyId: req.companyId,
+              status: "pending",
+            },
+            { $set: { status: "revoked", respondedAt: new Date() } }
+          );
+          if (!invitation)
+            return res
+              .status(404)
+              .send({ message: "No pending invitation found" });
+
+          res.send({ message: "HR invitation revoked" });
+        } catch (err) {
+          res
+            .status(500)
+            .send({ message: "Failed to revoke HR invitation", err });
+        }
+      }
+    );
+
+    // Looks up a pending, unexpired HR invitation sent to this email
+    const findHrInvitation = async (invitationId, email, session) => {
+      if (!ObjectId.isValid(invitationId))
+        throw new HttpError(400, "Invalid invitation id");
+      const invitation = await hrInvitationsCollection.findOne(
+        { _id: new ObjectId(invitationId) },
+        { session }
+      );
+      if (!invitation || invitation.email !== normalizeEmail(email))
+        throw new HttpError(404, "Invitation not found");
+      if (invitation.status !== "pending")
+        throw new HttpError(409, `Invitation already ${invitation.status}`);
+      if (invitation.expiresAt <= new Date())
+        throw new HttpError(410, "Invitation has expired");
+      return invitation;
+    };
+
+    // The invitee accepts and their account becomes an HR of the company
+    app.post("/company/members/accept", verifyJWT, async (req, res) => {
+      try {
+        const invitation = await runTransaction(async (session) => {
+          const invitation = await findHrInvitation(
+            req.body.invitationId,
+            req.tokenEmail,
+            session
+          );
+
+          const user = await usersCollection.findOne(
+            { email: req.tokenEmail },
+            { session }
+          );
+          if (!user || !(await canBecomeHr(user, session)))
+            throw new HttpError(
+              409,
+              "Leave your current company or role before joining as HR"
+            );
+
+          const accepted = await hrInvitationsCollection.updateOne(
+            { _id: invitation._id, status: "pending" },
+            { $set: { status: "accepted", respondedAt: new Date() } },
+            { session }
+          );
+          if (!accepted.modifiedCount)
+            throw new HttpError(409, "Invitation already used");
+
+          // guarded on the role checked above
+          const updated = await usersCollection.updateOne(
+            { _id: user._id, role: user.role ?? null, companyId: null },
+            {
+              $set: {
+                role: "hr",
+                companyId: invitation.companyId,
+                hrRole: invitation.hrRole,
+                updatedAt: new Date(),
+              },
+            },
+            { session }
+          );
+          if (!updated.modifiedCount)
+            throw new HttpError(409, "Account changed, try again");
+
+          await recordAudit(
+            {
+              companyId: invitation.companyId,
+              actor: req.tokenEmail,
+              action: "company.member_add",
+              targetType: "user",
+              targetId: user._id,
+              before: { role: user.role || null },
+              after: { role: "hr", hrRole: invitation.hrRole },
+            },
+            session
+          );
+          return invitation;
+        });
+
+        await notify(await companyHrEmails(invitation.companyId), {
+          type: "team.hr_joined",
+          title: "HR invitation accepted",
+          message: `${req.tokenEmail} joined ${invitation.companyName} as ${invitation.hrRole}`,
+          data: { companyId: invitation.companyId },
+        });
+
+        res.send({
+          message: `You joined ${invitation.companyName} as ${invitation.hrRole}`,
+          companyId: invitation.companyId,
+        });
+      } catch (err) {
+        if (err instanceof HttpError)
+          return res.status(err.status).send({ message: err.message });
+        console.error(err);
+        res.status(500).send({ message: "Failed to accept invitation", err });
+      }
+    });
+
+    app.post("/company/members/decline", verifyJWT, async (req, res) => {
+      try {
+        const invitation = await findHrInvitation(
+          req.body.invitationId,
+          req.tokenEmail
+        );
+        await hrInvitationsCollection.updateOne(
+          { _id: invitation._id, status: "pending" },
+          { $set: { status: "declined", respondedAt: new Date() } }
+        );
+
+        await notify(invitation.invitedBy, {
+          type: "hr_invitation.declined",
+          title: "HR invitation declined",
+          message: `${req.tokenEmail} declined your HR invitation`,
+          data: { invitationId: invitation._id },
+        });
+
+        res.send({ message: "Invitation declined" });
+      } catch (err) {
+        if (err instanceof HttpError)
+          return res.status(err.status).send({ message: err.message });
+        res.status(500).send({ message: "Failed to decline invitation", err });
+      }
+    });
+
+    // Change a member's HR role, keeping at least one owner
+    app.patch(
+      "/company/members/:email",
+      verifyJWT,
+      verifyHR,
+      ownerOnly,
+      async (req, res) => {
+        try {
+          const { hrRole } = req.body;
+          if (!HR_ROLES.includes(hrRole))
+            return res.status(400).send({ message: "Invalid HR role" });
+
+          await runTransaction(async (session) => {
+            const member = await usersCollection.findOneAndUpdate(
+              {
+                email: req.params.email,
+                role: "hr",
+                companyId: req.companyId,
+              },
+              { $set: { hrRole, updatedAt: new Date() } },
+              { session }
+            );
+            if (!member) throw new HttpError(404, "HR member not found");
+
+            const owners = await usersCollection.countDocuments(
+              { role: "hr", companyId: req.companyId, hrRole: "owner" },
+              { session }
+            );
+            if (!owners)
+              throw new HttpError(409, "A company needs at least one owner");
+
+            await recordAudit(
+              {
+                companyId: req.companyId,
+                actor: req.tokenEmail,
+                action: "company.member_role",
+                targetType: "user",
+                targetId: member._id,
+                before: { hrRole: member.hrRole },
+                after: { hrRole },
+              },
+              session
+            );
+          });
+
+          res.send({ message: "HR role updated" });
+        } catch (err) {
+          if (err instanceof HttpError)
+            return res.status(err.status).send({ message: err.message });
+          res.status(500).send({ message: "Failed to update HR role", err });
+        }
+      }
+    );
+
+    app.delete(
+      "/company/members/:email",
+      verifyJWT,
+      verifyHR,
+      ownerOnly,
+      async (req, res) => {
+        try {
+          await runTransaction(async (session) => {
+            const member = await usersCollection.findOneAndUpdate(
+              {
+                email: req.params.email,
+                role: "hr",
+                companyId: req.companyId,
+              },
+              // back to a plain employee account, so they can be invited
+              // again or join a company as staff
+              {
+                $unset: { companyId: "", hrRole: "" },
+                $set: { role: "employee", updatedAt: new Date() },
+              },
+              { session }
+            );
+            if (!member) throw new HttpError(404, "HR member not found");
+
+            const owners = await usersCollection.countDocuments(
+              { role: "hr", companyId: req.companyId, hrRole: "owner" },
+              { session }
+            );
+            if (!owners)
+              throw new HttpError(409, "A company needs at least one owner");
+
+            await recordAudit(
+              {
+                companyId: req.companyId,
+                actor: req.tokenEmail,
+                action: "company.member_remove",
+                targetType: "user",
+                targetId: member._id,
+                before: { role: "hr", hrRole: member.hrRole },
+                after: { role: "employee" },
+              },
+              session
+            );
+          });
+
+          res.send({ message: "HR member removed" });
+        } catch (err) {
+          if (err instanceof HttpError)
+            return res.status(err.status).send({ message: err.message });
+          res.status(500).send({ message: "Failed to remove HR member", err });
+        }
+      }
+    );
+
+    // GET assigned assets for logged-in employee
+    app.get(
+      "/assigned-assets/my",
+      verifyJWT,
+      verifyEmployee,
+      async (req, res) => {
+        try {
+          const employeeEmail = req.tokenEmail;
+
+          const assignedAssets = await assignedAssetsCollection
+            .aggregate([
+              {
+                $match: {
+                  employeeEmail,
+                  status: {
+                    $in: [...ACTIVE_ASSIGNMENT_STATUSES, "approved"],
+                  },
+                },
+              },
+              {
+                $lookup: {
+                  from: "assets",
+                  localField: "assetId",
+                  foreignField: "_id",
+                  as: "assetInfo",
+                },
+              },
+              // fall back to the copies on the assignment if the asset is gone
+              {
+                $unwind: {
+                  path: "$assetInfo",
+                  preserveNullAndEmptyArrays: true,
+                },
+              },
+              {
+                $project: {
+                  _id: 1,
+                  assetId: 1,
+                  assetImage: {
+                    $ifNull: ["$assetInfo.productImage", "$assetImage"],
+                  },
+                  assetName: { $ifNull: ["$assetInfo.name", "$assetName"] },
+                  assetType: { $ifNull: ["$assetInfo.type", "$assetType"] },
+                  companyName: {
+                    $ifNull: ["$assetInfo.companyName", "$companyName"],
+                  },
+                  assignmentDate: 1,
+                  returnDate: 1,
+                  status: 1,
+                },
+              },
+            ])
+            .toArray();
+
+          res.send(assignedAssets);
+        } catch (err) {
+          console.error(err);
+          res
+            .status(500)
+            .send({ message: "Failed to fetch assigned assets", err });
+        }
+      }
+    );
+
+    app.patch(
+      "/requests/:id/approve",
+      verifyJWT,
+      verifyHR,
+      canManage,
+      async (req, res) => {
+        try {
+          if (!ObjectId.isValid(req.params.id))
+            return res.status(400).send({ message: "Invalid request" });
+          const requestId = new ObjectId(req.params.id);
+          const { unitId: rawUnitId } = req.body || {};
+          if (rawUnitId !== undefined && !ObjectId.isValid(rawUnitId))
+            return res.status(400).send({ message: "Invalid unit id" });
+          const unitId = rawUnitId && new ObjectId(rawUnitId);
+
+          const { request, alert } = await runTransaction(async (session) => {
+            let unit = null;
+            let alert = null;
+
+            //  Guarded state change: only a pending request can be approved
+            const request = await requestsCollection.findOneAndUpdate(
+              {
+                _id: requestId,
+                companyId: req.companyId,
+                requestStatus: "pending",
+              },
+              {
+                $set: {
+                  requestStatus: "approved",
+                  approvalDate: new Date(),
+                  processedBy: req.tokenEmail,
+                  hrNote: readHrNote(req.body),
+                },
+              },
+              { session }
+            );
+
+            if (!request) {
+              const exists = await requestsCollection.findOne(
+                { _id: requestId, companyId: req.companyId },
+                { session }
+              );
+              if (!exists) throw new HttpError(400, "Invalid request");
+              throw new HttpError(409, "Request already processed");
+            }
+
+            //  Seats are taken when the employee joins, not here. A company
+            //  that has since dropped below its headcount (downgrade, lapsed
+            //  subscription) cannot approve anything until it is back
+            //  within its seats; joining stays blocked too.
+            const company = await companiesCollection.findOne(
+              { _id: req.companyId },
+              { session }
+            );
+            if ((company?.currentEmployees || 0) > seatLimit(company)) {
+              throw new HttpError(
+                403,
+                "Your company has more employees than its plan allows. Upgrade package or remove employees."
+              );
+            }
+
+            //  The requester has to still be a member
+            const affiliation = await employeeAffiliationsCollection.findOne(
+              {
+                employeeEmail: request.requesterEmail,
+                companyId: request.companyId,
+                status: "active",
+              },
+              { session }
+            );
+            if (!affiliation) {
+              throw new HttpError(
+                409,
+                "Requester is no longer a member of this company"
+              );
+            }
+
+            if (request.bookingStart) {
+              //  Bookable asset: the window needs a free unit. Touching the
+              //  asset makes concurrent approvals for it conflict.
+              const asset = await assetsCollection.findOneAndUpdate(
+                { _id: new ObjectId(request.assetId), deletedAt: null },
+                { $set: { lastBookedAt: new Date() } },
+                { session, returnDocument: "after" }
+              );
+              if (!asset) throw new HttpError(409, "Asset not available");
+
+              const bookings = await findBookings(
+                asset._id,
+                request.bookingStart,
+                request.bookingEnd,
+                session
+              );
+              if (
+                peakOverlap(
+                  bookings,
+                  request.bookingStart,
+                  request.bookingEnd
+                ) >= bookableCapacity(asset)
+              ) {
+                throw new HttpError(
+                  409,
+                  "Asset is fully booked for those dates"
+                );
+              }
+            } else {
+              //  Prevent duplicate assignment
+              const alreadyAssigned = await assignedAssetsCollection.findOne(
+                {
+                  assetId: request.assetId,
+                  employeeEmail: request.requesterEmail,
+                  status: "assigned",
+                },
+                { session }
+              );
+
+              if (alreadyAssigned) {
+                throw new HttpError(400, "Asset already assigned");
+              }
+
+              //  Conditional decrement: never below zero
+              const asset = await assetsCollection.findOneAndUpdate(
+                {
+                  _id: new ObjectId(request.assetId),
+                  availableQuantity: { $gt: 0 },
+                  deletedAt: null,
+                },
+                { $inc: { availableQuantity: -1 } },
+                { session }
+              );
+
+              if (!asset) throw new HttpError(409, "Asset not available");
+              alert = await raiseStockAlert(
+                asset,
+                { ...asset, availableQuantity: asset.availableQuantity - 1 },
+                session
+              );
+
+              //  Tracked asset: hand out the unit the HR picked, or the
+              //  longest-registered available one
+              if (asset.trackUnits) {
+                unit = await assetUnitsCollection.findOneAndUpdate(
+                  {
+                    assetId: asset._id,
+                    status: "available",
+                    ...(unitId && { _id: unitId }),
+                  },
+                  {
+                    $set: {
+                      status: "assigned",
+                      currentHolderEmail: request.requesterEmail,
+                      updatedAt: new Date(),
+                    },
+                  },
+                  { session, sort: { createdAt: 1 }, returnDocument: "after" }
+                );
+                if (!unit)
+                  throw new HttpError(
+                    409,
+                    unitId
+                      ? "That unit is not available"
+                      : "No registered unit is available"
+                  );
+              }
+            }
+
+            //  Assign asset
+            const assignment = await assignedAssetsCollection.insertOne(
+              {
+                assetId: request.assetId,
+                assetName: request.assetName,
+                assetType: request.assetType,
+                assetImage: request.assetImage,
+                employeeEmail: request.requesterEmail,
+                employeeName: request.requesterName,
+                companyId: request.companyId,
+                companyName: request.companyName,
+                assignedBy: req.tokenEmail,
+                assignmentDate: new Date(),
+                status: "assigned",
+                requestId,
+                ...(request.bookingStart && {
+                  bookingStart: request.bookingStart,
+                  bookingEnd: request.bookingEnd,
+                }),
+                ...(unit && {
+                  unitId: unit._id,
+                  serialNumber: unit.serialNumber ?? null,
+                  tag: unit.tag ?? null,
+                }),
+              },
+              { session }
+            );
+            if (unit) {
+              await assetUnitsCollection.updateOne(
+                { _id: unit._id },
+                { $set: { currentAssignmentId: assignment.insertedId } },
+                { session }
+              );
+            }
+
+            await recordAudit(
+              {
+                companyId: request.companyId,
+                actor: req.tokenEmail,
+                action: "request.approve",
+                targetType: "request",
+                targetId: requestId,
+                before: request,
+                after: {
+                  ...request,
+                  requestStatus: "approved",
+                  processedBy: req.tokenEmail,
+                  hrNote: readHrNote(req.body),
+                },
+              },
+              session
+            );
+
+            return { request, alert };
+          });
+
+          await notify(request.requesterEmail, {
+            type: "request.approved",
+            title: "Request approved",
+            message: `Your request for ${request.assetName} was approved`,
+            data: { requestId, note: readHrNote(req.body) },
+          });
+
+          await notifyStockAlert(alert);
+
+          res.send({ message: "Request approved successfully" });
+        } catch (err) {
+          if (err instanceof HttpError)
+            return res.status(err.status).send({ message: err.message });
+          console.error(err);
+          res.status(500).send({ message: "Approval failed", err });
+        }
+      }
+    );
+
+    app.patch(
+      "/requests/:id/reject",
+      verifyJWT,
+      verifyHR,
+      canManage,
+      async (req, res) => {
+        try {
+          if (!ObjectId.isValid(req.params.id))
+            return res.status(400).send({ message: "Invalid request" });
+          const requestId = new ObjectId(req.params.id);
+
+          // Single guarded write, so a racing approve/reject cannot both win
+          const request = await requestsCollection.findOneAndUpdate(
+            {
+              _id: requestId,
+              companyId: req.companyId,
+              requestStatus: "pending",
+            },
+            {
+              $set: {
+                requestStatus: "rejected",
+                approvalDate: new Date(),
+                processedBy: req.tokenEmail,
+                hrNote: readHrNote(req.body),
+              },
+            }
+          );
+
+          if (!request) {
+            const exists = await requestsCollection.findOne({
+              _id: requestId,
+              companyId: req.companyId,
+            });
+            if (!exists)
+              return res.status(400).send({ message: "Invalid request" });
+            return res
+              .status(409)
+              .send({ message: "Request already processed" });
+          }
+
+          await recordAudit({
+            companyId: request.companyId,
+            actor: req.tokenEmail,
+            action: "request.reject",
+            targetType: "request",
+            targetId: requestId,
+            before: request,
+            after: {
+              ...request,
+              requestStatus: "rejected",
+              processedBy: req.tokenEmail,
+              hrNote: readHrNote(req.body),
+            },
+          });
+          await notify(request.requesterEmail, {
+            type: "request.rejected",
+            title: "Request rejected",
+            message: `Your request for ${request.assetName} was rejected`,
+            data: { requestId, note: readHrNote(req.body) },
+          });
+
+          res.send({ message: "Request rejected" });
+        } catch (err) {
+          res.status(500).send({ message: "Rejection failed", err });
+        }
+      }
+    );
+
+    // -----------------------------
+    // Assigned Assets
+    // -----------------------------
+    app.get(
+      "/assigned-assets/my",
+      verifyJWT,
+      verifyEmployee,
+      async (req, res) => {
+        try {
+          const result = await assignedAssetsCollection
+            .find({ employeeEmail: req.tokenEmail })
+            .toArray();
+          res.send(result);
+        } catch (err) {
+          res
+            .status(500)
+            .send({ message: "Error fetching assigned assets", err });
+        }
+      }
+    );
+
+    // Step 1 (employee): ask to hand a returnable item back
+    app.patch(
+      "/assigned-assets/:id/return",
+      verifyJWT,
+      verifyEmployee,
+      async (req, res) => {
+        try {
+          if (!ObjectId.isValid(req.params.id))
+            return res.status(400).send({ message: "Invalid return request" });
+          const assignedId = new ObjectId(req.params.id);
+
+          const assignedAsset = await assignedAssetsCollection.findOne({
+            _id: assignedId,
+            employeeEmail: req.tokenEmail,
+          });
+          if (!assignedAsset)
+            return res
+              .status(404)
+              .send({ message: "Assigned asset not found" });
+          if (!isReturnableType(assignedAsset.assetType)) {
+            return res
+              .status(400)
+              .send({ message: "Non-returnable assets cannot be returned" });
+          }
+
+          const result = await assignedAssetsCollection.updateOne(
+            { _id: assignedId, status: { $in: ["assigned", "overdue"] } },
+            {
+              $set: {
+                status: "return_requested",
+                returnRequestedAt: new Date(),
+              },
+            }
+          );
+          if (!result.modifiedCount)
+            return res.status(409).send({ message: "Invalid return request" });
+
+          await recordAudit({
+            companyId: assignedAsset.companyId,
+            actor: req.tokenEmail,
+            action: "assignment.return_request",
+            targetType: "assignedAsset",
+            targetId: assignedId,
+            before: assignedAsset,
+            after: { ...assignedAsset, status: "return_requested" },
+          });
+          await notify(await companyHrEmails(assignedAsset.companyId), {
+            type: "return.requested",
+            title: "Return requested",
+            message: `${assignedAsset.employeeName} wants to return ${assignedAsset.assetName}`,
+            data: { assignedAssetId: assignedId },
+          });
+
+          res.send({ message: "Return requested. Awaiting HR confirmation." });
+        } catch (err) {
+          res.status(500).send({ message: "Return failed", err });
+        }
+      }
+    );
+
+    // Bookings that ended without the unit coming back
+    app.get(
+      "/assigned-assets/overdue",
+      verifyJWT,
+      verifyHR,
+      async (req, res) => {
+        try {
+          await markOverdueBookings();
+          const result = await assignedAssetsCollection
+            .find({ companyId: req.companyId, status: "overdue" })
+            .sort({ bookingEnd: 1 })
+            .toArray();
+          res.send(result);
+        } catch (err) {
+          res
+            .status(500)
+            .send({ message: "Error fetching overdue bookings", err });
+        }
+      }
+    );
+
+    // Items waiting for the HR to confirm receipt
+    app.get(
+      "/assigned-assets/pending-returns",
+      verifyJWT,
+      verifyHR,
+      async (req, res) => {
+        try {
+          const result = await assignedAssetsCollection
+            .find({ companyId: req.companyId, status: "return_requested" })
+            .sort({ returnRequestedAt: 1 })
+            .toArray();
+          res.send(result);
+        } catch (err) {
+          res
+            .status(500)
+            .send({ message: "Error fetching pending returns", err });
+        }
+      }
+    );
+
+    // Step 2 (HR): confirm the item is back and record its condition. Only
+    // units in good condition go back into stock; damaged or lost units are
+    // written off the asset's total. Besides items the employee handed back
+    // (return_requested), HR can close an overdue booking they recovered
+    // without the employee filing a return; anything still "assigned" needs
+    // the employee's step 1 first.
+    app.patch(
+      "/assigned-assets/:id/confirm-return",
+      verifyJWT,
+      verifyHR,
+      canManage,
+      async (req, res) => {
+        try {
+          if (!ObjectId.isValid(req.params.id))
+            return res.status(400).send({ message: "Invalid return request" });
+          const assignedId = new ObjectId(req.params.id);
+
+          const { condition, note } = req.body;
+          if (!RETURN_CONDITIONS.includes(condition)) {
+            return res.status(400).send({
+              message: `Condition must be one of: ${RETURN_CONDITIONS.join(
+                ", "
+              )}`,
+            });
+          }
+
+          const assignedAsset = await runTransaction(async (session) => {
+            const now = new Date();
+            const assignedAsset =
+              await assignedAssetsCollection.findOneAndUpdate(
+                {
+                  _id: assignedId,
+                  companyId: req.companyId,
+                  status: { $in: ["return_requested", "overdue"] },
+                },
+                {
+                  $set: {
+                    status: condition === "lost" ? "lost" : "returned",
+                    returnCondition: condition,
+                    returnNote: typeof note === "string" ? note.trim() : "",
+                    returnDate: now,
+                    returnConfirmedBy: req.tokenEmail,
+                  },
+                },
+                { session }
+              );
+            if (!assignedAsset)
+              throw new HttpError(409, "Invalid return request");
+            if (!isReturnableType(assignedAsset.assetType))
+              throw new HttpError(
+                400,
+                "Non-returnable assets cannot be returned"
+              );
+
+            // a booked unit never left availableQuantity, so it only
+            // changes when the unit is written off. A damaged tracked unit
+            // goes to repair instead of being written off.
+            const booked = Boolean(assignedAsset.bookingStart);
+            const tracked = Boolean(assignedAsset.unitId);
+            let stockUpdate;
+            if (condition === "good") {
+              stockUpdate = { $inc: { availableQuantity: booked ? 0 : 1 } };
+            } else if (condition === "damaged" && tracked) {
+              stockUpdate = { $inc: { damagedQuantity: 1 } };
+            } else {
+              stockUpdate = {
+                $inc: {
+                  quantity: -1,
+                  ...(booked && { availableQuantity: -1 }),
+                  [condition === "lost"
+                    ? "lostQuantity"
+                    : "damagedQuantity"]: 1,
+                },
+              };
+            }
+            const asset = await assetsCollection.findOneAndUpdate(
+              { _id: new ObjectId(assignedAsset.assetId) },
+              stockUpdate,
+              { session, returnDocument: "after" }
+            );
+            if (asset) await resolveStockAlerts(asset, session);
+
+            if (tracked) {
+              await assetUnitsCollection.updateOne(
+                { _id: assignedAsset.unitId },
+                {
+                  $set: {
+                    status: {
+                      good: "available",
+                      damaged: "in_repair",
+                      lost: "retired",
+                    }[condition],
+                    updatedAt: now,
+                  },
+                  $unset: { currentHolderEmail: "", currentAssignmentId: "" },
+                },
+                { session }
+              );
+            }
+
+            await requestsCollection.updateOne(
+              assignedAsset.requestId
+                ? { _id: assignedAsset.requestId, requestStatus: "approved" }
+                : {
+                    assetId: assignedAsset.assetId,
+                    requesterEmail: assignedAsset.employeeEmail,
+                    requestStatus: "approved",
+                  },
+              { $set: { requestStatus: "returned", returnDate: now } },
+              { session }
+            );
+
+            await recordAudit(
+              {
+                companyId: req.companyId,
+                actor: req.tokenEmail,
+                action: "assignment.return_confirm",
+                targetType: "assignedAsset",
+                targetId: assignedId,
+                before: assignedAsset,
+                after: {
+                  ...assignedAsset,
+                  status: condition === "lost" ? "lost" : "returned",
+                  returnCondition: condition,
+                },
+              },
+              session
+            );
+
+            return assignedAsset;
+          });
+
+          await notify(assignedAsset.employeeEmail, {
+            type: "return.confirmed",
+            title: "Return confirmed",
+            message: `Your return of ${assignedAsset.assetName} was confirmed (${condition})`,
+            data: { assignedAssetId: assignedId, condition },
+          });
+
+          res.send({ message: "Return confirmed" });
+        } catch (err) {
+          if (err instanceof HttpError)
+            return res.status(err.status).send({ message: err.message });
+          res.status(500).send({ message: "Return confirmation failed", err });
+        }
+      }
+    );
+
+    // Packages & Payments
+
+    app.get("/packages", verifyJWT, async (req, res) => {
+      try {
+        const result = await packagesCollection
+          .find({ status: { $ne: "archived" } })
+          .sort({ price: 1 })
+          .toArray();
+        res.send(result);
+      } catch (err) {
+        res.status(500).send({ message: "Error fetching packages", err });
+      }
+    });
+
+    // Any package, archived included, so old payments can show what was bought
+    app.get("/packages/:id", verifyJWT, async (req, res) => {
+      try {
+        if (!ObjectId.isValid(req.params.id))
+          return res.status(400).send({ message: "Invalid package id" });
+        const pkg = await packagesCollection.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!pkg) return res.status(404).send({ message: "Package not found" });
+        res.send(pkg);
+      } catch (err) {
+        res.status(500).send({ message: "Error fetching package", err });
+      }
+    });
+
+    app.post(
+      "/create-checkout-session",
+      verifyJWT,
+      verifyHR,
+      ownerOnly,
+      async (req, res) => {
+        try {
+          const { packageId, interval = "month" } = req.body;
+          if (!ObjectId.isValid(packageId))
+            return res.status(400).send({ message: "Invalid package id" });
+          if (!BILLING_INTERVALS.includes(interval))
+            return res
+              .status(400)
+              .send({ message: "Invalid billing interval" });
+          const pkg = await packagesCollection.findOne({
+            _id: new ObjectId(packageId),
+            status: { $ne: "archived" },
+          });
+          if (!pkg)
+            return res.status(404).send({ message: "Package not found" });
+
+          const company = await companiesCollection.findOne({
+            _id: req.companyId,
+          });
+          if (
+            company?.subscription &&
+            !["canceled", "incomplete_expired"].includes(
+              company.subscription.status
+            )
+          ) {
+            return res.status(409).send({
+              message:
+                "Company already has a subscription. Change plan instead.",
+            });
+          }
+
+          const metadata = {
+            packageId: pkg._id.toString(),
+            companyId: req.companyId.toString(),
+            hrEmail: req.tokenEmail,
+          };
+          const customer = company?.subscription?.stripeCustomerId;
+
+          const session = await stripe.checkout.sessions.create({
+            payment_method_types: ["card"],
+            line_items: [
+              {
+                price_data: {
+                  currency: "usd",
+                  product: await stripeProductFor(pkg),
+                  unit_amount: Math.round(packagePrice(pkg, interval) * 100),
+                  recurring: { interval },
+                },
+                quantity: 1,
+              },
+            ],
+            mode: "subscription",
+            ...(customer ? { customer } : { customer_email: req.tokenEmail }),
+            client_reference_id: req.tokenEmail,
+            metadata,
+            subscription_data: { metadata },
+            success_url: `${process.env.CLIENT_DOMAIN}/payment-success?session_id={CHECKOUT_SESSION_ID}`,
+            cancel_url: `${process.env.CLIENT_DOMAIN}/packages`,
+          });
+
+          res.send({ url: session.url });
+        } catch (err) {
+          res.status(500).send({ message: "Checkout session failed", err });
+        }
+      }
+    );
+
+    // Stripe product behind a package, created on first use. Subscription
+    // prices (and plan changes) need a product id rather than inline data.
+    const stripeProductFor = async (pkg) => {
+      if (pkg.stripeProductId) return pkg.stripeProductId;
+      const product = await stripe.products.create({
+        name: pkg.name,
+        metadata: { packageId: pkg._id.toString() },
+      });
+      await packagesCollection.updateOne(
+        { _id: pkg._id },
+        { $set: { stripeProductId: product.id } }
+      );
+      return product.id;
+    };
+
+    // Company a checkout was bought for. Sessions created before companies
+    // existed only carry the HR's email.
+    const sessionCompanyId = async ({ companyId, hrEmail } = {}) => {
+      if (ObjectId.isValid(companyId)) return new ObjectId(companyId);
+      if (!hrEmail) return null;
+      const hr = await usersCollection.findOne({ email: hrEmail });
+      return hr?.companyId || null;
+    };
+
+    // Upgrade the company's package from a paid checkout session. Everything comes
+    // from the session itself (metadata set in /create-checkout-session), so
+    // running it twice for the same payment intent is a no-op.
+    const fulfillCheckoutSession = async (session, actor = "stripe") => {
+      if (session.payment_status !== "paid") {
+        return { status: 402, message: "Payment not completed" };
+      }
+
+      const { packageId, hrEmail } = session.metadata || {};
+      const companyId = await sessionCompanyId(session.metadata);
+      if (!companyId || !ObjectId.isValid(packageId)) {
+        return { status: 400, message: "Session is missing package metadata" };
+      }
+
+      const pkg = await packagesCollection.findOne({
+        _id: new ObjectId(packageId),
+      });
+      if (!pkg) return { status: 404, message: "Package not found" };
+
+      const transactionId =
+        typeof session.payment_intent === "string"
+          ? session.payment_intent
+          : session.payment_intent?.id;
+
+      // the package price changed after checkout: the money was still taken,
+      // so keep the payment at what was charged and flag it for review
+      // instead of upgrading
+      if (session.amount_total !== Math.round(pkg.price * 100)) {
+        const amount = (session.amount_total || 0) / 100;
+        const result = await paymentsCollection.updateOne(
+          { sessionId: session.id },
+          {
+            $setOnInsert: {
+              companyId,
+              hrEmail,
+              packageId: pkg._id,
+              packageName: pkg.name,
+              employeeLimit: pkg.employeeLimit,
+              amount,
+              expectedAmount: pkg.price,
+              ...(transactionId && { transactionId }),
+              sessionId: session.id,
+              paymentDate: new Date(),
+              status: "amount_mismatch",
+            },
+          },
+          { upsert: true }
+        );
+        if (result.upsertedCount) {
+          await recordAudit({
+            companyId,
+            actor,
+            action: "payment.amount_mismatch",
+            targetType: "payment",
+            targetId: transactionId || session.id,
+            after: {
+              packageName: pkg.name,
+              amount,
+              expectedAmount: pkg.price,
+              sessionId: session.id,
+            },
+          });
+          await notify(await companyHrEmails(companyId), {
+            type: "payment.review",
+            title: "Payment needs review",
+            message: `A payment of $${amount} for the ${pkg.name} package did not match its price ($${pkg.price}) and was not applied`,
+            data: { packageId: pkg._id, sessionId: session.id },
+          });
+        }
+        return {
+          status: 409,
+          message:
+            "Paid amount does not match package. The payment was recorded for review.",
+        };
+      }
+
+      let inserted = false;
+      try {
+        const result = await paymentsCollection.updateOne(
+          { transactionId },
+          {
+            $setOnInsert: {
+              companyId,
+              hrEmail,
+              packageId: pkg._id,
+              packageName: pkg.name,
+              employeeLimit: pkg.employeeLimit,
+              amount: pkg.price,
+              transactionId,
+              sessionId: session.id,
+              paymentDate: new Date(),
+              status: "completed",
+            },
+          },
+          { upsert: true }
+        );
+        inserted = result.upsertedCount === 1;
+      } catch (err) {
+        // a concurrent delivery of the same event won the upsert
+        if (err.code !== 11000) throw err;
+      }
+
+      if (inserted) {
+        const before = await companiesCollection.findOneAndUpdate(
+          { _id: companyId },
+          {
+            $set: { packageLimit: pkg.employeeLimit, updatedAt: new Date() },
+            $unset: { unlimitedSeats: "" },
+          }
+        );
+        await recordAudit({
+          companyId,
+          actor,
+          action: "payment.complete",
+          targetType: "payment",
+          targetId: transactionId,
+          before: { packageLimit: before?.packageLimit ?? 0 },
+          after: {
+            packageLimit: pkg.employeeLimit,
+            packageName: pkg.name,
+            amount: pkg.price,
+            sessionId: session.id,
+          },
+        });
+        await notify(await companyHrEmails(companyId), {
+          type: "package.upgraded",
+          title: "Package upgraded",
+          message: `Your company is now on the ${pkg.name} package (${pkg.employeeLimit} employees)`,
+          data: { packageId: pkg._id, transactionId },
+        });
+      }
+
+      return { status: 200, message: "Payment successful", inserted };
+    };
+
+    // Record a checkout that will never be paid (async failure or expiry)
+    const recordFailedCheckout = async (session, status) => {
+      const { packageId, hrEmail } = session.metadata || {};
+      const companyId = await sessionCompanyId(session.metadata);
+      if (!companyId) return;
+
+      try {
+        await paymentsCollection.updateOne(
+          { sessionId: session.id, status: { $ne: "completed" } },
+          {
+            $set: { status, updatedAt: new Date() },
+            $setOnInsert: {
+              companyId,
+              hrEmail,
+              packageId: ObjectId.isValid(packageId)
+                ? new ObjectId(packageId)
+                : null,
+              amount: (session.amount_total || 0) / 100,
+              sessionId: session.id,
+              paymentDate: new Date(),
+            },
+          },
+          { upsert: true }
+        );
+      } catch (err) {
+        // already completed under the same session id
+        if (err.code !== 11000) throw err;
+      }
+    };
+
+    // Copy a Stripe subscription onto its company. Always called with a
+    // freshly retrieved subscription, so out-of-order events cannot roll the
+    // state back.
+    const syncSubscription = async (subscription, actor = "stripe") => {
+      const { companyId: rawCompanyId, packageId } =
+        subscription.metadata || {};
+      if (!ObjectId.isValid(rawCompanyId)) return null;
+      const companyId = new ObjectId(rawCompanyId);
+
+      const company = await companiesCollection.findOne({ _id: companyId });
+      if (!company) return null;
+      const previous = company.subscription || {};
+
+      // a late event for a replaced subscription must not clobber the new one
+      if (
+        previous.stripeSubscriptionId &&
+        previous.stripeSubscriptionId !== subscription.id &&
+        !["canceled", "incomplete_expired"].includes(previous.status)
+      ) {
+        return null;
+      }
+
+      const pkg = ObjectId.isValid(packageId)
+        ? await packagesCollection.findOne({ _id: new ObjectId(packageId) })
+        : null;
+      const item = subscription.items?.data?.[0];
+      const periodEnd =
+        item?.current_period_end ?? subscription.current_period_end;
+      const status = subscription.status;
+
+      const next = {
+        stripeSubscriptionId: subscription.id,
+        stripeCustomerId:
+          typeof subscription.customer === "string"
+            ? subscription.customer
+            : subscription.customer?.id,
+        stripeItemId: item?.id,
+        packageId: pkg?._id ?? previous.packageId ?? null,
+        packageName: pkg?.name ?? previous.packageName ?? null,
+        employeeLimit:
+          pkg?.employeeLimit ?? previous.employeeLimit ?? DEFAULT_PACKAGE_LIMIT,
+        interval: item?.price?.recurring?.interval ?? previous.interval,
+        status,
+        currentPeriodEnd: periodEnd ? new Date(periodEnd * 1000) : null,
+        cancelAtPeriodEnd: Boolean(subscription.cancel_at_period_end),
+        graceUntil:
+          status === "past_due"
+            ? previous.graceUntil ??
+              new Date(Date.now() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000)
+            : null,
+      };
+
+      await companiesCollection.updateOne(
+        { _id: companyId },
+        {
+          $set: {
+            subscription: next,
+            packageLimit: seatLimit({ subscription: next }),
+            updatedAt: new Date(),
+          },
+        }
+      );
+
+      const changed =
+        previous.status !== next.status ||
+        String(previous.packageId) !== String(next.packageId) ||
+        previous.cancelAtPeriodEnd !== next.cancelAtPeriodEnd;
+      if (changed) {
+        await recordAudit({
+          companyId,
+          actor,
+          action: "subscription.update",
+          targetType: "subscription",
+          targetId: subscription.id,
+          before: company.subscription || null,
+          after: next,
+        });
+
+        const seats = seatLimit({ subscription: next });
+        await notify(await companyHrEmails(companyId), {
+          type: "subscription.updated",
+          title: "Subscription updated",
+          message:
+            company.currentEmployees > seats
+              ? `Your ${next.packageName} plan is ${status}. You have ${company.currentEmployees} employees but ${seats} seats, so new employees cannot be added and requests cannot be approved.`
+              : `Your ${next.packageName} plan is ${status}`,
+          data: { status, packageId: next.packageId },
+        });
+      }
+
+      return next;
+    };
+
+    // Subscription id on an invoice (moved under parent in newer API versions)
+    const invoiceSubscriptionId = (invoice) => {
+      const id =
+        invoice.parent?.subscription_details?.subscription ??
+        invoice.subscription;
+      return typeof id === "string" ? id : id?.id;
+    };
+
+    // One payments row per invoice, paid or failed
+    const recordInvoice = async (invoice, status) => {
+      const subscriptionId = invoiceSubscriptionId(invoice);
+      if (!subscriptionId) return;
+
+      const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+      const { companyId, packageId, hrEmail } = subscription.metadata || {};
+      if (!ObjectId.isValid(companyId)) return;
+      const pkg = ObjectId.isValid(packageId)
+        ? await packagesCollection.findOne({ _id: new ObjectId(packageId) })
+        : null;
+
+      try {
+        await paymentsCollection.updateOne(
+          { transactionId: invoice.id },
+          {
+            $set: {
+              status,
+              amount:
+                (status === "completed"
+                  ? invoice.amount_paid
+                  : invoice.amount_due) / 100,
+              updatedAt: new Date(),
+            },
+            $setOnInsert: {
+              companyId: new ObjectId(companyId),
+              hrEmail,
+              packageId: pkg?._id ?? null,
+              packageName: pkg?.name ?? null,
+              employeeLimit: pkg?.employeeLimit ?? null,
+              transactionId: invoice.id,
+              subscriptionId,
+              billingReason: invoice.billing_reason,
+              paymentDate: new Date(),
+            },
+          },
+          { upsert: true }
+        );
+      } catch (err) {
+        // a concurrent delivery of the same event won the upsert
+        if (err.code !== 11000) throw err;
+      }
+
+      await syncSubscription(subscription);
+    };
+
+    app.post("/stripe/webhook", async (req, res) => {
+      let event;
+      try {
+        event = stripe.webhooks.constructEvent(
+          req.rawBody,
+          req.headers["stripe-signature"]
+        );
+      } catch (err) {
+        console.log(err.message);
+        return res.status(400).send({ message: "Invalid webhook signature" });
+      }
+
+      try {
+        const session = event.data.object;
+        switch (event.type) {
+          case "checkout.session.completed":
+            if (session.mode === "subscription" && session.subscription) {
+              await syncSubscription(
+                await stripe.subscriptions.retrieve(session.subscription)
+              );
+              break;
+            }
+          // falls through: one-time package purchases
+          case "checkout.session.async_payment_succeeded":
+            // unpaid "completed" sessions settle later via async_payment_*
+            if (session.payment_status === "paid") {
+              const result = await fulfillCheckoutSession(session);
+              if (result.status !== 200) console.log(event.id, result.message);
+            }
+            break;
+          case "checkout.session.async_payment_failed":
+            await recordFailedCheckout(session, "failed");
+            break;
+          case "checkout.session.expired":
+            await recordFailedCheckout(session, "expired");
+            break;
+          case "customer.subscription.created":
+          case "customer.subscription.updated":
+          case "customer.subscription.deleted":
+            await syncSubscription(
+              await stripe.subscriptions.retrieve(event.data.object.id)
+            );
+            break;
+          case "invoice.paid":
+            await recordInvoice(event.data.object, "completed");
+            break;
+          case "invoice.payment_failed":
+            await recordInvoice(event.data.object, "failed");
+            break;
+          default:
+            break;
+        }
+
+        res.send({ received: true });
+      } catch (err) {
+        console.error(err);
+        // a 5xx makes Stripe retry the delivery
+        res.status(500).send({ message: "Webhook handling failed" });
+      }
+    });
+
+    // Called by the success page; only re-checks the session with Stripe so the
+    // HR sees the upgrade even if the webhook has not arrived yet.
+    app.post(
+      "/payment-success",
+      verifyJWT,
+      verifyHR,
+      ownerOnly,
+      async (req, res) => {
+        try {
+          const { sessionId } = req.body;
+          if (!sessionId)
+            return res.status(400).send({ message: "sessionId is required" });
+
+          const session = await stripe.checkout.sessions.retrieve(sessionId);
+          const companyId = await sessionCompanyId(session.metadata);
+          if (!companyId?.equals(req.companyId)) {
+            return res.status(403).send({ message: "Forbidden Access!" });
+          }
+
+          if (session.mode === "subscription") {
+            if (!session.subscription)
+              return res.status(402).send({ message: "Payment not completed" });
+            const subscription = await syncSubscription(
+              await stripe.subscriptions.retrieve(session.subscription),
+              req.tokenEmail
+            );
+            return res.send({ message: "Subscription started", subscription });
+          }
+
+          const { status, message } = await fulfillCheckoutSession(
+            session,
+            req.tokenEmail
+          );
+          res.status(status).send({ message });
+        } catch (err) {
+          res.status(500).send({ message: "Payment processing failed", err });
+        }
+      }
+    );
+
+    // Plan, renewal date and seats for the HR's company
+    app.get("/subscription", verifyJWT, verifyHR, async (req, res) => {
+      try {
+        const company = await companiesCollection.findOne({
+          _id: req.companyId,
+        });
+        if (!company)
+          return res.status(404).send({ message: "Company not found" });
+
+        const subscription = company.subscription || null;
+        const seats = seatLimit(company);
+        res.send({
+          plan: subscription?.packageName ?? null,
+          packageId: subscription?.packageId ?? null,
+          interval: subscription?.interval ?? null,
+          status: subscription?.status ?? "none",
+          renewsAt:
+            subscription && !subscription.cancelAtPeriodEnd
+              ? subscription.currentPeriodEnd
+              : null,
+          endsAt: subscription?.cancelAtPeriodEnd
+            ? subscription.currentPeriodEnd
+            : null,
+          graceUntil: subscription?.graceUntil ?? null,
+          seatsUsed: company.currentEmployees || 0,
+          seatLimit: seats,
+          overLimit: (company.currentEmployees || 0) > seats,
+        });
+      } catch (err) {
+        res.status(500).send({ message: "Failed to fetch subscription", err });
+      }
+    });
+
+    // Loads the company's live subscription or fails with 409
+    const activeSubscription = async (companyId) => {
+      const company = await companiesCollection.findOne({ _id: companyId });
+      const subscription = company?.subscription;
+      if (
+        !subscription?.stripeSubscriptionId ||
+        ["canceled", "incomplete_expired"].includes(subscription.status)
+      ) {
+        throw new HttpError(409, "No active subscription");
+      }
+      return { company, subscription };
+    };
+
+    // Upgrade or downgrade. Stripe prorates the difference on an immediate
+    // invoice; a downgrade below the current headcount is allowed, but no new
+    // employees can join until the company is back under the limit.
+    app.post(
+      "/subscription/change",
+      verifyJWT,
+      verifyHR,
+      ownerOnly,
+      async (req, res) => {
+        try {
+          const { packageId, interval } = req.body;
+          if (!ObjectId.isValid(packageId))
+            return res.status(400).send({ message: "Invalid package id" });
+
+          const { company, subscription } = await activeSubscription(
+            req.companyId
+          );
+          const nextInterval = interval || subscription.interval || "month";
+          if (!BILLING_INTERVALS.includes(nextInterval))
+            return res
+              .status(400)
+              .send({ message: "Invalid billing interval" });
+
+          const pkg = await packagesCollection.findOne({
+            _id: new ObjectId(packageId),
+            status: { $ne: "archived" },
+          });
+          if (!pkg)
+            return res.status(404).send({ message: "Package not found" });
+
+          const updated = await stripe.subscriptions.update(
+            subscription.stripeSubscriptionId,
+            {
+              items: [
+                {
+                  id: subscription.stripeItemId,
+                  price_data: {
+                    currency: "usd",
+                    product: await stripeProductFor(pkg),
+                    unit_amount: Math.round(
+                      packagePrice(pkg, nextInterval) * 100
+                    ),
+                    recurring: { interval: nextInterval },
+                  },
+                },
+              ],
+              proration_behavior: "always_invoice",
+              cancel_at_period_end: false,
+              metadata: {
+                packageId: pkg._id.toString(),
+                companyId: req.companyId.toString(),
+                hrEmail: req.tokenEmail,
+              },
+            }
+          );
+          const next = await syncSubscription(updated, req.tokenEmail);
+
+          res.send({
+            message: "Plan changed",
+            subscription: next,
+            overLimit: (company.currentEmployees || 0) > pkg.employeeLimit,
+          });
+        } catch (err) {
+          if (err instanceof HttpError)
+            return res.status(err.status).send({ message: err.message });
+          res.status(500).send({ message: "Plan change failed", err });
+        }
+      }
+    );
+
+    // Cancel at the end of the paid period, or undo that with resume
+    const setCancelAtPeriodEnd = (cancel) => async (req, res) => {
+      try {
+        const { subscription } = await activeSubscription(req.companyId);
+        const updated = await stripe.subscriptions.update(
+          subscription.stripeSubscriptionId,
+          { cancel_at_period_end: cancel }
+        );
+        const next = await syncSubscription(updated, req.tokenEmail);
+
+        res.send({
+          message: cancel
+            ? "Subscription will end at the end of the billing period"
+            : "Subscription resumed",
+          subscription: next,
+        });
+      } catch (err) {
+        if (err instanceof HttpError)
+          return res.status(err.status).send({ message: err.message });
+        res.status(500).send({ message: "Subscription update failed", err });
+      }
+    };
+
+    app.post(
+      "/subscription/cancel",
+      verifyJWT,
+      verifyHR,
+      ownerOnly,
+      setCancelAtPeriodEnd(true)
+    );
+    app.post(
+      "/subscription/resume",
+      verifyJWT,
+      verifyHR,
+      ownerOnly,
+      setCancelAtPeriodEnd(false)
+    );
+
+    app.get("/payments", verifyJWT, verifyHR, async (req, res) => {
+      try {
+        const payments = await paymentsCollection
+          .find({ companyId: req.companyId })
+          .toArray();
+        res.send(payments);
+      } catch (err) {
+        res.status(500).send({ message: "Failed to fetch payments", err });
+      }
+    });
+
+    // HR Employee List
+
+    const employeeRosterPipeline = (companyId) => [
+      {
+        $match: {
+          companyId,
+          status: "active",
+        },
+      },
+      {
+        $lookup: {
+          from: "users",
+          localField: "employeeEmail",
+          foreignField: "email",
+          as: "employeeInfo",
+        },
+      },
+      { $unwind: "$employeeInfo" },
+      {
+        $lookup: {
+          from: "assignedAssets",
+          let: { employeeEmail: "$employeeEmail" },
+          pipeline: [
+            {
+              $match: {
+                companyId,
+                $expr: { $eq: ["$employeeEmail", "$$employeeEmail"] },
+              },
+            },
+          ],
+          as: "assignedAssets",
+        },
+      },
+      {
+        $project: {
+          employeeEmail: 1,
+          employeeName: 1,
+          affiliationDate: 1,
+          profileImage: "$employeeInfo.profileImage",
+          assetsCount: { $size: "$assignedAssets" },
+        },
+      },
+    ];
+
+    app.get("/employees/my", verifyJWT, verifyHR, async (req, res) => {
+      try {
+        const employees = await employeeAffiliationsCollection
+          .aggregate(employeeRosterPipeline(req.companyId))
+          .toArray();
+
+        const company = await companiesCollection.findOne({
+          _id: req.companyId,
+        });
+
+        res.send({
+          employees,
+          currentEmployees: company?.currentEmployees || 0,
+          packageLimit: seatLimit(company),
+        });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ message: "Error fetching employees" });
+      }
+    });
+
+    app.get("/employees/my/export", verifyJWT, verifyHR, async (req, res) => {
+      try {
+        const cursor = employeeAffiliationsCollection.aggregate(
+          employeeRosterPipeline(req.companyId)
+        );
+
+        await streamCsv(
+          res,
+          "employees.csv",
+          [
+            { header: "employeeName", value: (e) => e.employeeName },
+            { header: "employeeEmail", value: (e) => e.employeeEmail },
+            { header: "affiliationDate", value: (e) => e.affiliationDate },
+            { header: "assetsCount", value: (e) => e.assetsCount },
+          ],
+          cursor
+        );
+      } catch (err) {
+        console.error(err);
+        if (!res.headersSent)
+          res.status(500).send({ message: "Employee export failed", err });
+        else res.end();
+      }
+    });
+
+    // What an employee still has from the company: items out with them
+    // (returnable ones must come back), items they already handed back that
+    // wait for the HR to confirm, bookings not started yet, and requests
+    // still waiting for a decision
+    const offboardingChecklist = async (companyId, employeeEmail, session) => {
+      const now = new Date();
+      const [assignments, pendingRequests] = await Promise.all([
+        assignedAssetsCollection
+          .find(
+            {
+              companyId,
+              employeeEmail,
+              status: { $in: ACTIVE_ASSIGNMENT_STATUSES },
+            },
+            { session }
+          )
+          .sort({ assignmentDate: 1 })
+          .toArray(),
+        requestsCollection
+          .find(
+            {
+              companyId,
+              requesterEmail: employeeEmail,
+              requestStatus: "pending",
+            },
+            { session }
+          )
+          .project({ assetName: 1, requestDate: 1, bookingStart: 1 })
+          .toArray(),
+      ]);
+
+      const upcomingBookings = assignments.filter(
+        (item) => item.bookingStart && item.bookingStart > now
+      );
+      const held = assignments.filter(
+        (item) =>
+          !upcomingBookings.includes(item) && item.status !== "return_requested"
+      );
+
+      return {
+        returnable: held.filter((item) => isReturnableType(item.assetType)),
+        nonReturnable: held.filter((item) => !isReturnableType(item.assetType)),
+        awaitingReturn: assignments.filter(
+          (item) =>
+            !upcomingBookings.includes(item) &&
+            item.status === "return_requested"
+        ),
+        upcomingBookings,
+        pendingRequests,
+      };
+    };
+
+    const summariseItem = (item) => ({
+      _id: item._id,
+      assetId: item.assetId,
+      assetName: item.assetName,
+      assetType: item.assetType,
+      status: item.status,
+      assignmentDate: item.assignmentDate,
+      ...(item.bookingEnd && { bookingEnd: item.bookingEnd }),
+      ...(item.unitId && { serialNumber: item.serialNumber, tag: item.tag }),
+    });
+
+    // Offboarding checklist for one employee; also shows how a finished
+    // offboarding went
+    app.get(
+      "/employees/:email/offboarding",
+      verifyJWT,
+      verifyHR,
+      async (req, res) => {
+        try {
+          const employeeEmail = req.params.email;
+          const affiliation = await employeeAffiliationsCollection.findOne({
+            employeeEmail,
+            companyId: req.companyId,
+          });
+          if (!affiliation)
+            return res
+              .status(404)
+              .send({ message: "Employee is not on this team" });
+
+          const checklist = await offboardingChecklist(
+            req.companyId,
+            employeeEmail
+          );
+          const unrecovered = await assignedAssetsCollection
+            .find({
+              companyId: req.companyId,
+              employeeEmail,
+              status: "unrecovered",
+            })
+            .toArray();
+
+          res.send({
+            employeeEmail,
+            employeeName: affiliation.employeeName,
+            status: affiliation.status,
+            offboarding: affiliation.offboarding ?? null,
+            returnable: checklist.returnable.map(summariseItem),
+            nonReturnable: checklist.nonReturnable.map(summariseItem),
+            awaitingReturn: checklist.awaitingReturn.map(summariseItem),
+            upcomingBookings: checklist.upcomingBookings.map(summariseItem),
+            pendingRequests: checklist.pendingRequests,
+            unrecovered: unrecovered.map(summariseItem),
+            readyToRemove:
+              affiliation.status === "active" &&
+              checklist.returnable.length === 0,
+          });
+        } catch (err) {
+          res
+            .status(500)
+            .send({ message: "Failed to build offboarding checklist", err });
+        }
+      }
+    );
+
+    // Offboard an employee. Pending requests and bookings that have not
+    // started (with the requests they were approved from) are cancelled
+    // either way. Returnable items still held block the removal, unless
+    // { force: true } is sent: then they are written off as "unrecovered".
+    // Items already handed back are left for the HR to confirm, and
+    // non-returnable items were the employee's to keep.
+    app.patch(
+      "/employees/:email/remove",
+      verifyJWT,
+      verifyHR,
+      canManage,
+      async (req, res) => {
+        try {
+          const employeeEmail = req.params.email;
+          const force = req.body?.force === true;
+
+          const summary = await runTransaction(async (session) => {
+            const now = new Date();
+
+            // only an active member frees a seat
+            const before = await employeeAffiliationsCollection.findOne(
+              { employeeEmail, companyId: req.companyId, status: "active" },
+              { session }
+            );
+            if (!before)
+              throw new HttpError(404, "Employee is not on this team");
+
+            const checklist = await offboardingChecklist(
+              req.companyId,
+              employeeEmail,
+              session
+            );
+            if (checklist.returnable.length && !force) {
+              throw new HttpError(
+                409,
+                `${checklist.returnable.length} returnable item(s) are still out. Collect them or force the removal.`,
+                { returnable: checklist.returnable.map(summariseItem) }
+              );
+            }
+
+            for (const item of checklist.returnable) {
+              await assignedAssetsCollection.updateOne(
+                { _id: item._id },
+                {
+                  $set: {
+                    status: "unrecovered",
+                    unrecoveredAt: now,
+                    unrecoveredBy: req.tokenEmail,
+                  },
+                },
+                { session }
+              );
+              // the unit is gone; a booked unit also leaves stock, since
+              // bookable stock is the whole quantity
+              await assetsCollection.updateOne(
+                { _id: new ObjectId(item.assetId) },
+                {
+                  $inc: {
+                    quantity: -1,
+                    unrecoveredQuantity: 1,
+                    ...(item.bookingStart && { availableQuantity: -1 }),
+                  },
+                },
+                { session }
+              );
+              if (item.unitId) {
+                await assetUnitsCollection.updateOne(
+                  { _id: item.unitId },
+                  {
+                    $set: { status: "retired", updatedAt: now },
+                    $unset: { currentHolderEmail: "", currentAssignmentId: "" },
+                  },
+                  { session }
+                );
+              }
+            }
+
+            const cancellation = {
+              $set: {
+                requestStatus: "cancelled",
+                cancelledAt: now,
+                cancelledBy: req.tokenEmail,
+                cancelReason: "Employee offboarded",
+              },
+            };
+
+            let cancelledRequests = 0;
+            for (const item of checklist.upcomingBookings) {
+              await assignedAssetsCollection.updateOne(
+                { _id: item._id },
+                { $set: { status: "cancelled", cancelledAt: now } },
+                { session }
+              );
+              // the approved request behind the booking goes with it
+              const request = await requestsCollection.updateOne(
+                item.requestId
+                  ? { _id: item.requestId, requestStatus: "approved" }
+                  : {
+                      assetId: item.assetId,
+                      requesterEmail: employeeEmail,
+                      bookingStart: item.bookingStart,
+                      requestStatus: "approved",
+                    },
+                cancellation,
+                { session }
+              );
+              cancelledRequests += request.modifiedCount;
+            }
+
+            const cancelled = await requestsCollection.updateMany(
+              {
+                companyId: req.companyId,
+                requesterEmail: employeeEmail,
+                requestStatus: "pending",
+              },
+              cancellation,
+              { session }
+            );
+            cancelledRequests += cancelled.modifiedCount;
+
+            const offboarding = {
+              at: now,
+              by: req.tokenEmail,
+              forced: force,
+              unrecovered: checklist.returnable.map(summariseItem),
+              keptNonReturnable: checklist.nonReturnable.length,
+              awaitingReturn: checklist.awaitingReturn.map(summariseItem),
+              cancelledBookings: checklist.upcomingBookings.length,
+              cancelledRequests,
+            };
+
+            await employeeAffiliationsCollection.updateOne(
+              { _id: before._id },
+              { $set: { status: "inactive", offboarding } },
+              { session }
+            );
+            await companiesCollection.updateOne(
+              { _id: req.companyId, currentEmployees: { $gt: 0 } },
+              { $inc: { currentEmployees: -1 } },
+              { session }
+            );
+            await usersCollection.updateOne(
+              { email: employeeEmail },
+              { $pull: { companyAffiliations: { companyId: req.companyId } } },
+              { session }
+            );
+
+            await recordAudit(
+              {
+                companyId: req.companyId,
+                actor: req.tokenEmail,
+                action: "employee.remove",
+                targetType: "employeeAffiliation",
+                targetId: before._id,
+                before,
+                after: { ...before, status: "inactive", offboarding },
+              },
+              session
+            );
+
+            return { companyName: before.companyName, ...offboarding };
+          });
+
+          await notify(employeeEmail, {
+            type: "team.removed",
+            title: "Removed from team",
+            message: `You were removed from ${
+              summary.companyName || "a company"
+            }`,
+            data: { companyId: req.companyId },
+          });
+
+          res.send({ message: "Employee removed from team", summary });
+        } catch (err) {
+          if (err instanceof HttpError)
+            return res
+              .status(err.status)
+              .send({ message: err.message, ...err.details });
+          console.error(err);
+          res.status(500).send({ message: "Failed to remove employee", err });
+        }
+      }
+    );
+
+    // Employee Onboarding
+
+    // Adds an employee to a company inside a transaction. This is the only
+    // place a seat is taken; touching the company document first makes
+    // concurrent joins for the same company conflict, so the seat count is
+    // never read stale.
+    const affiliateEmployee = async (
+      { companyId, employeeEmail, approvedBy, joinedVia },
+      session
+    ) => {
+      const company = await companiesCollection.findOneAndUpdate(
+        { _id: companyId },
+        { $set: { updatedAt: new Date() } },
+        { session, returnDocument: "after" }
+      );
+      if (!company) throw new HttpError(404, "Company not found");
+
+      const existing = await employeeAffiliationsCollection.findOne(
+        { employeeEmail, companyId, status: "active" },
+        { session }
+      );
+      if (existing)
+        throw new HttpError(409, "Already a member of this company");
+
+      if ((company.currentEmployees || 0) >= seatLimit(company)) {
+        throw new HttpError(403, "Employee limit reached. Upgrade package.");
+      }
+
+      const employee = await usersCollection.findOne(
+        { email: employeeEmail },
+        { session }
+      );
+      const affiliation = {
+        employeeEmail,
+        employeeName: employee?.name || employeeEmail,
+        companyId,
+        companyName: company.name || "N/A",
+        approvedBy,
+        joinedVia,
+        affiliationDate: new Date(),
+        status: "active",
+      };
+
+      // a returning employee reuses their old (inactive) affiliation
+      await employeeAffiliationsCollection.updateOne(
+        { employeeEmail, companyId },
+        { $set: affiliation },
+        { session, upsert: true }
+      );
+      await usersCollection.updateOne(
+        { email: employeeEmail },
+        {
+          $addToSet: {
+            companyAffiliations: {
+              companyId,
+              companyName: affiliation.companyName,
+              approvedBy,
+              approvedAt: affiliation.affiliationDate,
+            },
+          },
+        },
+        { session }
+      );
+      await companiesCollection.updateOne(
+        { _id: companyId },
+        { $inc: { currentEmployees: 1 } },
+        { session }
+      );
+
+      return affiliation;
+    };
+
+    // Companies an employee can ask to join
+    app.get("/companies", verifyJWT, verifyEmployee, async (req, res) => {
+      try {
+        const { page, limit, skip } = parsePagination(req.query, 20);
+        const query = {};
+        if (req.query.search) {
+          query.name = {
+            $regex: escapeRegex(String(req.query.search)),
+            $options: "i",
+          };
+        }
+
+        const [companies, total] = await Promise.all([
+          companiesCollection
+            .find(query)
+            .project({ name: 1, logo: 1 })
+            .sort({ name: 1 })
+            .skip(skip)
+            .limit(limit)
+            .toArray(),
+          companiesCollection.countDocuments(query),
+        ]);
+
+        res.send({
+          companies: companies.map((company) => ({
+            companyId: company._id,
+            companyName: company.name || "N/A",
+            companyLogo: company.logo || null,
+          })),
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit),
+        });
+      } catch (err) {
+        res.status(500).send({ message: "Failed to fetch companies", err });
+      }
+    });
+
+    // Invite by email. The raw token is only returned here, for the HR to
+    // send the link on however they like. The invitee's notification only
+    // carries the invitationId, which works for their own account alone.
+    app.post(
+      "/invitations",
+      verifyJWT,
+      verifyHR,
+      canManage,
+      async (req, res) => {
+        try {
+          const email = normalizeEmail(req.body.email);
+          if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email))
+            return res.status(400).send({ message: "Invalid email" });
+
+          const invitee = await usersCollection.findOne({ email });
+          if (invitee && invitee.role !== "employee")
+            return res
+              .status(400)
+              .send({ message: "Only employee accounts can be invited" });
+
+          const member = await employeeAffiliationsCollection.findOne({
+            employeeEmail: email,
+            companyId: req.companyId,
+            status: "active",
+          });
+          if (member)
+            return res
+              .status(409)
+              .send({ message: "Already a member of this company" });
+
+          const company = await companiesCollection.findOne({
+            _id: req.companyId,
+          });
+
+          // a new invitation replaces any earlier one for the same email
+          await invitationsCollection.updateMany(
+            { companyId: req.companyId, email, status: "pending" },
+            { $set: { status: "revoked", respondedAt: new Date() } }
+          );
+
+          const token = crypto.randomBytes(32).toString("hex");
+          const invitation = {
+            companyId: req.companyId,
+            companyName: company?.name || "N/A",
+            email,
+            invitedBy: req.tokenEmail,
+            tokenHash: hashToken(token),
+            status: "pending",
+            expiresAt: new Date(
+              Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000
+            ),
+            createdAt: new Date(),
+          };
+          const result = await invitationsCollection.insertOne(invitation);
+
+          await recordAudit({
+            companyId: req.companyId,
+            actor: req.tokenEmail,
+            action: "invitation.create",
+            targetType: "invitation",
+            targetId: result.insertedId,
+            after: { email, expiresAt: invitation.expiresAt },
+          });
+          await notify(email, {
+            type: "invitation.received",
+            title: "Team invitation",
+            message: `${invitation.companyName} invited you to join their team`,
+            data: { invitationId: result.insertedId },
+          });
+
+          res.status(201).send({
+            message: "Invitation sent",
+            invitationId: result.insertedId,
+            expiresAt: invitation.expiresAt,
+            inviteLink: `${process.env.CLIENT_DOMAIN}/join?token=${token}`,
+            seatsFull: (company?.currentEmployees || 0) >= seatLimit(company),
+          });
+        } catch (err) {
+          console.error(err);
+          res.status(500).send({ message: "Failed to send invitation", err });
+        }
+      }
+    );
+
+    app.get("/invitations", verifyJWT, verifyHR, async (req, res) => {
+      try {
+        const query = { companyId: req.companyId };
+        if (req.query.status) query.status = req.query.status;
+
+        const invitations = await invitationsCollection
+          .find(query)
+          .project({ tokenHash: 0 })
+          .sort({ createdAt: -1 })
+          .toArray();
+
+        const now = new Date();
+        res.send(
+          invitations.map((invitation) => ({
+            ...invitation,
+            expired:
+              invitation.status === "pending" && invitation.expiresAt <= now,
+          }))
+        );
+      } catch (err) {
+        res.status(500).send({ message: "Failed to fetch invitations", err });
+      }
+    });
+
+    app.delete(
+      "/invitations/:id",
+      verifyJWT,
+      verifyHR,
+      canManage,
+      async (req, res) => {
+        try {
+          if (!ObjectId.isValid(req.params.id))
+            return res.status(400).send({ message: "Invalid invitation id" });
+
+          const invitation = await invitationsCollection.findOneAndUpdate(
+            {
+              _id: new ObjectId(req.params.id),
+              companyId: req.companyId,
+              status: "pending",
+            },
+            { $set: { status: "revoked", respondedAt: new Date() } }
+          );
+          if (!invitation)
+            return res
+              .status(404)
+              .send({ message: "No pending invitation found" });
+
+          await recordAudit({
+            companyId: req.companyId,
+            actor: req.tokenEmail,
+            action: "invitation.revoke",
+            targetType: "invitation",
+            targetId: invitation._id,
+            before: { email: invitation.email, status: "pending" },
+            after: { email: invitation.email, status: "revoked" },
+          });
+
+          res.send({ message: "Invitation revoked" });
+        } catch (err) {
+          res.status(500).send({ message: "Failed to revoke invitation", err });
+        }
+      }
+    );
+
+    // Looks up a pending, unexpired invitation for the signed-in employee,
+    // by the token from the link or by invitationId from their notification
+    const findInvitation = async ({ token, invitationId }, email, session) => {
+      let query;
+      if (token && typeof token === "string")
+        query = { tokenHash: hashToken(token) };
+      else if (ObjectId.isValid(invitationId))
+        query = { _id: new ObjectId(invitationId) };
+      else throw new HttpError(400, "Invitation token or id is required");
+
+      const invitation = await invitationsCollection.findOne(query, {
+        session,
+      });
+      // invitations are bound to the address they were sent to
+      if (!invitation || invitation.email !== normalizeEmail(email))
+        throw new HttpError(404, "Invitation not found");
+      if (invitation.status !== "pending")
+        throw new HttpError(409, `Invitation already ${invitation.status}`);
+      if (invitation.expiresAt <= new Date())
+        throw new HttpError(410, "Invitation has expired");
+      return invitation;
+    };
+
+    app.post(
+      "/invitations/accept",
+      verifyJWT,
+      verifyEmployee,
+      async (req, res) => {
+        try {
+          const invitation = await runTransaction(async (session) => {
+            const invitation = await findInvitation(
+              req.body,
+              req.tokenEmail,
+              session
+            );
+
+            const accepted = await invitationsCollection.updateOne(
+              { _id: invitation._id, status: "pending" },
+              { $set: { status: "accepted", respondedAt: new Date() } },
+              { session }
+            );
+            if (!accepted.modifiedCount)
+              throw new HttpError(409, "Invitation already used");
+
+            await affiliateEmployee(
+              {
+                companyId: invitation.companyId,
+                employeeEmail: req.tokenEmail,
+                approvedBy: invitation.invitedBy,
+                joinedVia: "invitation",
+              },
+              session
+            );
+
+            await recordAudit(
+              {
+                companyId: invitation.companyId,
+                actor: req.tokenEmail,
+                action: "invitation.accept",
+                targetType: "invitation",
+                targetId: invitation._id,
+                before: { status: "pending" },
+                after: { status: "accepted" },
+              },
+              session
+            );
+
+            return invitation;
+          });
+
+          await notify(await companyHrEmails(invitation.companyId), {
+            type: "team.joined",
+            title: "Invitation accepted",
+            message: `${req.tokenEmail} joined ${invitation.companyName}`,
+            data: { companyId: invitation.companyId },
+          });
+
+          res.send({
+            message: `You joined ${invitation.companyName}`,
+            companyId: invitation.companyId,
+          });
+        } catch (err) {
+          if (err instanceof HttpError)
+            return res.status(err.status).send({ message: err.message });
+          console.error(err);
+          res.status(500).send({ message: "Failed to accept invitation", err });
+        }
+      }
+    );
+
+    app.post(
+      "/invitations/decline",
+      verifyJWT,
+      verifyEmployee,
+      async (req, res) => {
+        try {
+          const invitation = await findInvitation(req.body, req.tokenEmail);
+          await invitationsCollection.updateOne(
+            { _id: invitation._id, status: "pending" },
+            { $set: { status: "declined", respondedAt: new Date() } }
+          );
+
+          await notify(await companyHrEmails(invitation.companyId), {
+            type: "invitation.declined",
+            title: "Invitation declined",
+            message: `${req.tokenEmail} declined your invitation`,
+            data: { invitationId: invitation._id },
+          });
+
+          res.send({ message: "Invitation declined" });
+        } catch (err) {
+          if (err instanceof HttpError)
+            return res.status(err.status).send({ message: err.message });
+          res
+            .status(500)
+            .send({ message: "Failed to decline invitation", err });
+        }
+      }
+    );
+
+    // Employee asks to join a company
+    app.post("/join-requests", verifyJWT, verifyEmployee, async (req, res) => {
+      try {
+        const { companyId, message } = req.body;
+        if (!ObjectId.isValid(companyId))
+          return res.status(400).send({ message: "Invalid company id" });
+
+        const company = await companiesCollection.findOne({
+          _id: new ObjectId(companyId),
         });
+        if (!company)
+          return res.status(404).send({ message: "Company not found" });
 
-        if (existingRequest) {
+        const member = await employeeAffiliationsCollection.findOne({
+          employeeEmail: req.tokenEmail,
+          companyId: company._id,
+          status: "active",
+        });
+        if (member)
           return res
-            .status(400)
-            .send({ message: "You already requested this asset" });
-        }
+            .status(409)
+            .send({ message: "Already a member of this company" });
 
-        // 3. Fetch employee info
         const employee = await usersCollection.findOne({
           email: req.tokenEmail,
         });
-
-        // 4. Create request object with correct asset fields
-        const request = {
-          assetId: asset._id,
-          assetName: asset.name,
-          assetType: asset.type,
-          assetImage: asset.productImage,
-          requesterEmail: req.tokenEmail,
-          requesterName: employee.name,
-          hrEmail: asset.hrEmail,
-          companyName: asset.companyName || "N/A",
-          requestDate: new Date(),
-          requestStatus: "pending",
-          note: note || "",
+        const joinRequest = {
+          companyId: company._id,
+          companyName: company.name || "N/A",
+          employeeEmail: req.tokenEmail,
+          employeeName: employee?.name || req.tokenEmail,
+          message: typeof message === "string" ? message.trim() : "",
+          status: "pending",
+          createdAt: new Date(),
         };
 
-        // 5. Insert into requests collection
-        const result = await requestsCollection.insertOne(request);
+        let result;
+        try {
+          result = await joinRequestsCollection.insertOne(joinRequest);
+        } catch (err) {
+          if (err.code === 11000)
+            return res
+              .status(409)
+              .send({ message: "You already asked to join this company" });
+          throw err;
+        }
 
-        res.send({
-          message: "Request created successfully",
-          request: { ...request, _id: result.insertedId },
+        await notify(await companyHrEmails(company._id), {
+          type: "joinRequest.created",
+          title: "New join request",
+          message: `${joinRequest.employeeName} asked to join ${joinRequest.companyName}`,
+          data: { joinRequestId: result.insertedId },
+        });
+
+        res.status(201).send({
+          message: "Join request sent",
+          joinRequest: { ...joinRequest, _id: result.insertedId },
         });
       } catch (err) {
         console.error(err);
-        res.status(500).send({ message: "Request creation failed", err });
+        res.status(500).send({ message: "Failed to send join request", err });
       }
     });
 
-    // Get All Requests (HR)
+    app.get(
+      "/join-requests/my",
+      verifyJWT,
+      verifyEmployee,
+      async (req, res) => {
+        try {
+          const result = await joinRequestsCollection
+            .find({ employeeEmail: req.tokenEmail })
+            .sort({ createdAt: -1 })
+            .toArray();
+          res.send(result);
+        } catch (err) {
+          res
+            .status(500)
+            .send({ message: "Failed to fetch join requests", err });
+        }
+      }
+    );
 
-    app.get("/requests/all", verifyJWT, verifyHR, async (req, res) => {
+    app.get("/join-requests", verifyJWT, verifyHR, async (req, res) => {
       try {
-        const hrEmail = req.tokenEmail;
-
-        const requests = await requestsCollection
-          .find({ hrEmail })
-          .project({
-            requesterName: 1,
-            assetName: 1,
-            assetType: 1,
-            assetImage: 1,
-            requestDate: 1,
-            requestStatus: 1,
-            note: 1,
+        const result = await joinRequestsCollection
+          .find({
+            companyId: req.companyId,
+            status: req.query.status || "pending",
           })
+          .sort({ createdAt: -1 })
           .toArray();
-
-        res.send(requests);
-      } catch (err) {
-        console.error(err);
-        res.status(500).send({ message: "Failed to fetch requests" });
-      }
-    });
-
-    // Backend route: Get current HR info
-    app.get("/hr/me", verifyJWT, verifyHR, async (req, res) => {
-      try {
-        const hrEmail = req.tokenEmail;
-        const hr = await usersCollection.findOne(
-          { email: hrEmail },
-          { projection: { companyName: 1, name: 1, email: 1 } }
-        );
-
-        if (!hr) return res.status(404).send({ message: "HR not found" });
-
-        res.send({
-          companyName: hr.companyName || "N/A",
-          name: hr.name,
-          email: hr.email,
-        });
+        res.send(result);
       } catch (err) {
-        console.error(err);
-        res.status(500).send({ message: "Failed to fetch HR info", err });
+        res.status(500).send({ message: "Failed to fetch join requests", err });
       }
     });
 
-    // GET assigned assets for logged-in employee
-    app.get(
-      "/assigned-assets/my",
+    app.patch(
+      "/join-requests/:id/accept",
       verifyJWT,
-      verifyEmployee,
+      verifyHR,
+      canManage,
       async (req, res) => {
         try {
-          const employeeEmail = req.tokenEmail;
+          if (!ObjectId.isValid(req.params.id))
+            return res.status(400).send({ message: "Invalid join request" });
+          const joinRequestId = new ObjectId(req.params.id);
 
-          const assignedAssets = await assignedAssetsCollection
-            .aggregate([
+          const joinRequest = await runTransaction(async (session) => {
+            const joinRequest = await joinRequestsCollection.findOneAndUpdate(
               {
-                $match: {
-                  employeeEmail,
-                  status: { $in: ["assigned", "approved"] },
-                },
+                _id: joinRequestId,
+                companyId: req.companyId,
+                status: "pending",
               },
               {
-                $lookup: {
-                  from: "assets",
-                  localField: "assetId",
-                  foreignField: "_id",
-                  as: "assetInfo",
+                $set: {
+                  status: "accepted",
+                  processedBy: req.tokenEmail,
+                  respondedAt: new Date(),
                 },
               },
-              { $unwind: "$assetInfo" },
+              { session }
+            );
+            if (!joinRequest)
+              throw new HttpError(404, "No pending join request found");
+
+            await affiliateEmployee(
               {
-                $project: {
-                  _id: 1,
-                  assetId: 1,
-                  assetImage: "$assetInfo.productImage",
-                  assetName: "$assetInfo.name",
-                  assetType: "$assetInfo.type",
-                  companyName: "$assetInfo.companyName",
-                  assignmentDate: 1,
-                  returnDate: 1,
-                  status: 1,
-                },
+                companyId: req.companyId,
+                employeeEmail: joinRequest.employeeEmail,
+                approvedBy: req.tokenEmail,
+                joinedVia: "joinRequest",
               },
-            ])
-            .toArray();
+              session
+            );
 
-          res.send(assignedAssets);
+            await recordAudit(
+              {
+                companyId: req.companyId,
+                actor: req.tokenEmail,
+                action: "joinRequest.accept",
+                targetType: "joinRequest",
+                targetId: joinRequestId,
+                before: joinRequest,
+                after: { ...joinRequest, status: "accepted" },
+              },
+              session
+            );
+
+            return joinRequest;
+          });
+
+          await notify(joinRequest.employeeEmail, {
+            type: "joinRequest.accepted",
+            title: "Join request accepted",
+            message: `You joined ${joinRequest.companyName}`,
+            data: { companyId: req.companyId },
+          });
+
+          res.send({ message: "Employee added to team" });
         } catch (err) {
+          if (err instanceof HttpError)
+            return res.status(err.status).send({ message: err.message });
           console.error(err);
           res
             .status(500)
-            .send({ message: "Failed to fetch assigned assets", err });
+            .send({ message: "Failed to accept join request", err });
         }
       }
     );
 
     app.patch(
-      "/requests/:id/approve",
+      "/join-requests/:id/decline",
       verifyJWT,
       verifyHR,
+      canManage,
       async (req, res) => {
         try {
-          const requestId = req.params.id;
-
-          //  Validate request
-          const request = await requestsCollection.findOne({
-            _id: new ObjectId(requestId),
-          });
-
-          if (!request || request.requestStatus !== "pending") {
-            return res.status(400).send({ message: "Invalid request" });
-          }
-
-          //  Validate asset
-          const asset = await assetsCollection.findOne({
-            _id: new ObjectId(request.assetId),
-          });
-
-          if (!asset || asset.availableQuantity < 1) {
-            return res.status(400).send({ message: "Asset not available" });
-          }
-
-          //  Prevent duplicate assignment
-          const alreadyAssigned = await assignedAssetsCollection.findOne({
-            assetId: request.assetId,
-            employeeEmail: request.requesterEmail,
-            status: "assigned",
-          });
+          if (!ObjectId.isValid(req.params.id))
+            return res.status(400).send({ message: "Invalid join request" });
 
-          if (alreadyAssigned) {
-            return res.status(400).send({ message: "Asset already assigned" });
-          }
-
-          //  HR package limit check
-          const hr = await usersCollection.findOne({ email: request.hrEmail });
-          if (hr?.packageLimit && hr.currentEmployees >= hr.packageLimit) {
-            return res.status(403).send({
-              message: "Employee limit reached. Upgrade package.",
-            });
-          }
-
-          //  Reduce asset quantity
-          await assetsCollection.updateOne(
-            { _id: asset._id },
-            { $inc: { availableQuantity: -1 } }
-          );
-
-          //  Update request
-          await requestsCollection.updateOne(
-            { _id: new ObjectId(requestId) },
+          const joinRequest = await joinRequestsCollection.findOneAndUpdate(
+            {
+              _id: new ObjectId(req.params.id),
+              companyId: req.companyId,
+              status: "pending",
+            },
             {
               $set: {
-                requestStatus: "approved",
-                approvalDate: new Date(),
+                status: "declined",
                 processedBy: req.tokenEmail,
+                hrNote: readHrNote(req.body),
+                respondedAt: new Date(),
               },
             }
           );
+          if (!joinRequest)
+            return res
+              .status(404)
+              .send({ message: "No pending join request found" });
 
-          //  Assign asset
-          await assignedAssetsCollection.insertOne({
-            assetId: request.assetId,
-            assetName: request.assetName,
-            assetType: request.assetType,
-            employeeEmail: request.requesterEmail,
-            employeeName: request.requesterName,
-            hrEmail: request.hrEmail,
-            companyName: request.companyName,
-            assignmentDate: new Date(),
-            status: "assigned",
-          });
-
-          // 8️⃣ Employee affiliation
-          const affiliationExists =
-            await employeeAffiliationsCollection.findOne({
-              employeeEmail: request.requesterEmail,
-              hrEmail: request.hrEmail,
-              status: "active",
-            });
-
-          if (!affiliationExists) {
-            await employeeAffiliationsCollection.insertOne({
-              employeeEmail: request.requesterEmail,
-              employeeName: request.requesterName,
-              hrEmail: request.hrEmail,
-              companyName: request.companyName,
-              affiliationDate: new Date(),
-              status: "active",
-            });
-
-            // Update employee profile (frontend profile fix)
-            await usersCollection.updateOne(
-              { email: request.requesterEmail },
-              {
-                $addToSet: {
-                  companyAffiliations: {
-                    companyName: request.companyName,
-                    approvedBy: request.hrEmail,
-                    approvedAt: new Date(),
-                  },
-                },
-              }
-            );
-
-            // Increase HR employee count
-            await usersCollection.updateOne(
-              { email: request.hrEmail },
-              { $inc: { currentEmployees: 1 } }
-            );
-          }
+          await recordAudit({
+            companyId: req.companyId,
+            actor: req.tokenEmail,
+            action: "joinRequest.decline",
+            targetType: "joinRequest",
+            targetId: joinRequest._id,
+            before: joinRequest,
+            after: { ...joinRequest, status: "declined" },
+          });
+          await notify(joinRequest.employeeEmail, {
+            type: "joinRequest.declined",
+            title: "Join request declined",
+            message: `${joinRequest.companyName} declined your join request`,
+            data: {
+              joinRequestId: joinRequest._id,
+              note: readHrNote(req.body),
+            },
+          });
 
-          res.send({ message: "Request approved successfully" });
+          res.send({ message: "Join request declined" });
         } catch (err) {
-          console.error(err);
-          res.status(500).send({ message: "Approval failed", err });
+          res
+            .status(500)
+            .send({ message: "Failed to decline join request", err });
         }
       }
     );
 
-    app.patch("/requests/:id/reject", verifyJWT, verifyHR, async (req, res) => {
-      try {
-        const requestId = req.params.id;
+    // Platform Admin
 
-        const request = await requestsCollection.findOne({
-          _id: new ObjectId(requestId),
-        });
+    app.get("/admin/packages", verifyJWT, verifyAdmin, async (req, res) => {
+      try {
+        const result = await packagesCollection
+          .find()
+          .sort({ status: 1, price: 1 })
+          .toArray();
+        res.send(result);
+      } catch (err) {
+        res.status(500).send({ message: "Error fetching packages", err });
+      }
+    });
 
-        if (!request || request.requestStatus !== "pending") {
-          return res.status(400).send({ message: "Invalid request" });
-        }
+    app.post("/admin/packages", verifyJWT, verifyAdmin, async (req, res) => {
+      try {
+        const { error, value } = validatePackageInput(req.body);
+        if (error) return res.status(400).send({ message: error });
 
-        await requestsCollection.updateOne(
-          { _id: new ObjectId(requestId) },
-          {
-            $set: {
-              requestStatus: "rejected",
-              approvalDate: new Date(),
-              processedBy: req.tokenEmail,
-            },
-          }
-        );
+        const pkg = {
+          ...value,
+          status: "active",
+          createdAt: new Date(),
+          updatedAt: new Date(),
+        };
+        const result = await packagesCollection.insertOne(pkg);
+        await recordAudit({
+          companyId: null,
+          actor: req.tokenEmail,
+          action: "package.create",
+          targetType: "package",
+          targetId: result.insertedId,
+          after: pkg,
+        });
 
-        res.send({ message: "Request rejected" });
+        res.send({
+          message: "Package created",
+          package: { ...pkg, _id: result.insertedId },
+        });
       } catch (err) {
-        res.status(500).send({ message: "Rejection failed", err });
+        res.status(500).send({ message: "Failed to create package", err });
       }
     });
 
-    // -----------------------------
-    // Assigned Assets
-    // -----------------------------
-    app.get(
-      "/assigned-assets/my",
-      verifyJWT,
-      verifyEmployee,
-      async (req, res) => {
-        try {
-          const result = await assignedAssetsCollection
-            .find({ employeeEmail: req.tokenEmail })
-            .toArray();
-          res.send(result);
-        } catch (err) {
-          res
-            .status(500)
-            .send({ message: "Error fetching assigned assets", err });
-        }
-      }
-    );
-
     app.patch(
-      "/assigned-assets/:id/return",
+      "/admin/packages/:id",
       verifyJWT,
-      verifyEmployee,
+      verifyAdmin,
       async (req, res) => {
         try {
-          const assignedId = req.params.id;
-          const assignedAsset = await assignedAssetsCollection.findOne({
-            _id: new ObjectId(assignedId),
-            employeeEmail: req.tokenEmail,
+          if (!ObjectId.isValid(req.params.id))
+            return res.status(400).send({ message: "Invalid package id" });
+
+          const { error, value } = validatePackageInput(req.body, {
+            partial: true,
           });
-          if (!assignedAsset || assignedAsset.status !== "assigned")
-            return res.status(400).send({ message: "Invalid return request" });
+          if (error) return res.status(400).send({ message: error });
+          if (req.body.status !== undefined) {
+            if (!["active", "archived"].includes(req.body.status))
+              return res.status(400).send({ message: "Invalid status" });
+            value.status = req.body.status;
+          }
+          if (!Object.keys(value).length)
+            return res.status(400).send({ message: "Nothing to update" });
 
-          await assignedAssetsCollection.updateOne(
-            { _id: new ObjectId(assignedId) },
-            { $set: { status: "returned", returnDate: new Date() } }
-          );
-          await assetsCollection.updateOne(
-            { _id: new ObjectId(assignedAsset.assetId) },
-            { $inc: { availableQuantity: 1 } }
+          const before = await packagesCollection.findOneAndUpdate(
+            { _id: new ObjectId(req.params.id) },
+            { $set: { ...value, updatedAt: new Date() } }
           );
+          if (!before)
+            return res.status(404).send({ message: "Package not found" });
 
-          await requestsCollection.updateOne(
-            { assetId: assignedAsset.assetId, requesterEmail: req.tokenEmail },
-            { $set: { requestStatus: "returned", approvalDate: new Date() } }
-          );
+          await recordAudit({
+            companyId: null,
+            actor: req.tokenEmail,
+            action:
+              value.status === "archived"
+                ? "package.archive"
+                : "package.update",
+            targetType: "package",
+            targetId: before._id,
+            before,
+            after: { ...before, ...value },
+          });
 
-          res.send({ message: "Asset returned successfully" });
+          res.send({ message: "Package updated" });
         } catch (err) {
-          res.status(500).send({ message: "Return failed", err });
+          res.status(500).send({ message: "Failed to update package", err });
         }
       }
     );
 
-    // Packages & Payments
+    // Recompute currentEmployees and availableQuantity from the records
+    // they count. Body: { apply: false, companyId } - a dry run by default.
+    app.post("/admin/reconcile", verifyJWT, verifyAdmin, async (req, res) => {
+      try {
+        const { apply = false, companyId } = req.body || {};
+        if (typeof apply !== "boolean")
+          return res.status(400).send({ message: "apply must be a boolean" });
+        if (companyId !== undefined && !ObjectId.isValid(companyId))
+          return res.status(400).send({ message: "Invalid company id" });
 
-    app.get("/packages", verifyJWT, async (req, res) => {
+        const report = await reconcileCounters(db, {
+          apply,
+          companyId: companyId ? new ObjectId(companyId) : null,
+          actor: req.tokenEmail,
+        });
+        res.send(report);
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ message: "Reconciliation failed", err });
+      }
+    });
+
+    app.get("/admin/companies", verifyJWT, verifyAdmin, async (req, res) => {
       try {
-        const result = await packagesCollection.find().toArray();
-        res.send(result);
+        const { page, limit, skip } = parsePagination(req.query, 20);
+        const query = {};
+        if (req.query.search) {
+          query.name = {
+            $regex: escapeRegex(String(req.query.search)),
+            $options: "i",
+          };
+        }
+
+        const [companies, total] = await Promise.all([
+          companiesCollection
+            .aggregate([
+              { $match: query },
+              { $sort: { createdAt: -1, _id: -1 } },
+              { $skip: skip },
+              { $limit: limit },
+              {
+                $lookup: {
+                  from: "assets",
+                  let: { companyId: "$_id" },
+                  pipeline: [
+                    {
+                      $match: {
+                        $expr: { $eq: ["$companyId", "$$companyId"] },
+                        deletedAt: null,
+                      },
+                    },
+                    { $count: "count" },
+                  ],
+                  as: "assetCount",
+                },
+              },
+              {
+                $lookup: {
+                  from: "payments",
+                  let: { companyId: "$_id" },
+                  pipeline: [
+                    {
+                      $match: {
+                        $expr: { $eq: ["$companyId", "$$companyId"] },
+                        status: "completed",
+                      },
+                    },
+                    { $group: { _id: null, total: { $sum: "$amount" } } },
+                  ],
+                  as: "revenue",
+                },
+              },
+              {
+                $addFields: {
+                  assets: { $ifNull: [{ $first: "$assetCount.count" }, 0] },
+                  revenue: { $ifNull: [{ $first: "$revenue.total" }, 0] },
+                },
+              },
+              { $project: { assetCount: 0 } },
+            ])
+            .toArray(),
+          companiesCollection.countDocuments(query),
+        ]);
+
+        res.send({
+          companies,
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit),
+        });
+      } catch (err) {
+        res.status(500).send({ message: "Failed to fetch companies", err });
+      }
+    });
+
+    app.get("/admin/payments", verifyJWT, verifyAdmin, async (req, res) => {
+      try {
+        const { page, limit, skip } = parsePagination(req.query, 20);
+        const query = {};
+        if (req.query.status) query.status = req.query.status;
+        if (req.query.companyId) {
+          if (!ObjectId.isValid(req.query.companyId))
+            return res.status(400).send({ message: "Invalid company id" });
+          query.companyId = new ObjectId(req.query.companyId);
+        }
+        const paymentDate = parseDateRange(req.query);
+        if (paymentDate) query.paymentDate = paymentDate;
+
+        const [payments, total] = await Promise.all([
+          paymentsCollection
+            .find(query)
+            .sort({ paymentDate: -1, _id: -1 })
+            .skip(skip)
+            .limit(limit)
+            .toArray(),
+          paymentsCollection.countDocuments(query),
+        ]);
+
+        res.send({
+          payments,
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit),
+        });
+      } catch (err) {
+        if (err instanceof HttpError)
+          return res.status(err.status).send({ message: err.message });
+        res.status(500).send({ message: "Failed to fetch payments", err });
+      }
+    });
+
+    // Platform-wide totals
+    app.get("/admin/usage", verifyJWT, verifyAdmin, async (req, res) => {
+      try {
+        const [companies, usersByRole, assets, requestsByStatus, revenue] =
+          await Promise.all([
+            companiesCollection.countDocuments(),
+            usersCollection
+              .aggregate([{ $group: { _id: "$role", count: { $sum: 1 } } }])
+              .toArray(),
+            assetsCollection.countDocuments({ deletedAt: null }),
+            requestsCollection
+              .aggregate([
+                { $group: { _id: "$requestStatus", count: { $sum: 1 } } },
+              ])
+              .toArray(),
+            paymentsCollection
+              .aggregate([
+                { $match: { status: "completed" } },
+                {
+                  $group: {
+                    _id: "$packageName",
+                    payments: { $sum: 1 },
+                    amount: { $sum: "$amount" },
+                  },
+                },
+                { $sort: { amount: -1 } },
+              ])
+              .toArray(),
+          ]);
+
+        const toCounts = (rows) =>
+          Object.fromEntries(rows.map(({ _id, count }) => [_id, count]));
+
+        res.send({
+          companies,
+          users: toCounts(usersByRole),
+          assets,
+          requests: toCounts(requestsByStatus),
+          revenue: {
+            total: revenue.reduce((sum, row) => sum + row.amount, 0),
+            byPackage: revenue.map(({ _id, payments, amount }) => ({
+              packageName: _id,
+              payments,
+              amount,
+            })),
+          },
+        });
       } catch (err) {
-        res.status(500).send({ message: "Error fetching packages", err });
+        res.status(500).send({ message: "Failed to fetch usage", err });
       }
     });
 
-    app.post(
-      "/create-checkout-session",
-      verifyJWT,
-      verifyHR,
-      async (req, res) => {
-        try {
-          const { packageId } = req.body;
-          const pkg = await packagesCollection.findOne({
-            _id: new ObjectId(packageId),
-          });
-          if (!pkg)
-            return res.status(404).send({ message: "Package not found" });
+    // Notifications
 
-          const session = await stripe.checkout.sessions.create({
-            payment_method_types: ["card"],
-            line_items: [
-              {
-                price_data: {
-                  currency: "usd",
-                  product_data: { name: pkg.name },
-                  unit_amount: pkg.price * 100,
-                },
-                quantity: 1,
-              },
-            ],
-            mode: "payment",
-            customer_email: req.tokenEmail,
-            success_url: `${process.env.CLIENT_DOMAIN}/payment-success`,
-            cancel_url: `${process.env.CLIENT_DOMAIN}/packages`,
-          });
+    app.get("/notifications", verifyJWT, async (req, res) => {
+      try {
+        const { page, limit, skip } = parsePagination(req.query, 20);
+        const query = { recipientEmail: req.tokenEmail };
+        if (req.query.unread === "true") query.read = false;
 
-          res.send({ url: session.url });
-        } catch (err) {
-          res.status(500).send({ message: "Checkout session failed", err });
-        }
+        const [notifications, total, unreadCount] = await Promise.all([
+          notificationsCollection
+            .find(query)
+            .sort({ createdAt: -1, _id: -1 })
+            .skip(skip)
+            .limit(limit)
+            .toArray(),
+          notificationsCollection.countDocuments(query),
+          notificationsCollection.countDocuments({
+            recipientEmail: req.tokenEmail,
+            read: false,
+          }),
+        ]);
+
+        res.send({
+          notifications,
+          unreadCount,
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit),
+        });
+      } catch (err) {
+        res.status(500).send({ message: "Failed to fetch notifications", err });
       }
-    );
+    });
 
-    app.post("/payment-success", verifyJWT, verifyHR, async (req, res) => {
+    // EventSource cannot set headers, so the client first trades its bearer
+    // token for a single-use stream token and opens the stream with
+    // ?token=. The bearer token itself never goes in a URL (and so in logs).
+    app.post("/notifications/stream-token", verifyJWT, async (req, res) => {
       try {
-        const { sessionId, packageId } = req.body;
-        const session = await stripe.checkout.sessions.retrieve(sessionId);
-        const pkg = await packagesCollection.findOne({
-          _id: new ObjectId(packageId),
+        const token = crypto.randomBytes(32).toString("hex");
+        const expiresAt = new Date(Date.now() + STREAM_TOKEN_TTL_MS);
+        await streamTokensCollection.insertOne({
+          tokenHash: hashToken(token),
+          email: req.tokenEmail,
+          expiresAt,
+          createdAt: new Date(),
         });
-        if (!pkg) return res.status(404).send({ message: "Package not found" });
+        res.status(201).send({ token, expiresAt });
+      } catch (err) {
+        res.status(500).send({ message: "Failed to create stream token", err });
+      }
+    });
 
-        await paymentsCollection.insertOne({
-          hrEmail: req.tokenEmail,
-          packageName: pkg.name,
-          employeeLimit: pkg.employeeLimit,
-          amount: pkg.price,
-          transactionId: session.payment_intent,
-          paymentDate: new Date(),
-          status: "completed",
+    // Authorization header as usual, or a stream token (used up here)
+    const verifyStreamToken = async (req, res, next) => {
+      if (req.headers.authorization || !req.query.token)
+        return verifyJWT(req, res, next);
+      try {
+        const entry = await streamTokensCollection.findOneAndDelete({
+          tokenHash: hashToken(req.query.token),
+          expiresAt: { $gt: new Date() },
         });
+        if (!entry)
+          return res
+            .status(401)
+            .send({ message: "Invalid or expired stream token" });
+        req.tokenEmail = entry.email;
+        next();
+      } catch (err) {
+        res.status(500).send({ message: "Failed to open stream", err });
+      }
+    };
 
-        await usersCollection.updateOne(
-          { email: req.tokenEmail },
-          { $set: { packageLimit: pkg.employeeLimit } }
+    app.get("/notifications/stream", verifyStreamToken, async (req, res) => {
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      });
+      res.flushHeaders();
+
+      // headers are out, so a failure can only end the stream
+      let unreadCount;
+      try {
+        unreadCount = await notificationsCollection.countDocuments({
+          recipientEmail: req.tokenEmail,
+          read: false,
+        });
+      } catch (err) {
+        console.error(err);
+        res.write(
+          `event: error\ndata: ${JSON.stringify({
+            message: "Failed to open notification stream",
+          })}\n\n`
         );
+        return res.end();
+      }
+      res.write(`event: ready\ndata: ${JSON.stringify({ unreadCount })}\n\n`);
+
+      streams.add(req.tokenEmail, res);
+      const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+
+      req.on("close", () => {
+        clearInterval(heartbeat);
+        streams.remove(req.tokenEmail, res);
+      });
+    });
 
-        res.send({ message: "Payment successful" });
+    app.patch("/notifications/read-all", verifyJWT, async (req, res) => {
+      try {
+        const result = await notificationsCollection.updateMany(
+          { recipientEmail: req.tokenEmail, read: false },
+          { $set: { read: true, readAt: new Date() } }
+        );
+        res.send({ message: "Notifications marked as read", ...result });
       } catch (err) {
-        res.status(500).send({ message: "Payment processing failed", err });
+        res
+          .status(500)
+          .send({ message: "Failed to update notifications", err });
       }
     });
 
-    app.get("/payments", verifyJWT, verifyHR, async (req, res) => {
+    app.patch("/notifications/:id/read", verifyJWT, async (req, res) => {
       try {
-        const payments = await paymentsCollection
-          .find({ hrEmail: req.tokenEmail })
-          .toArray();
-        res.send(payments);
+        if (!ObjectId.isValid(req.params.id))
+          return res.status(400).send({ message: "Invalid notification id" });
+
+        const result = await notificationsCollection.updateOne(
+          { _id: new ObjectId(req.params.id), recipientEmail: req.tokenEmail },
+          { $set: { read: true, readAt: new Date() } }
+        );
+        if (!result.matchedCount)
+          return res.status(404).send({ message: "Notification not found" });
+
+        res.send({ message: "Notification marked as read" });
       } catch (err) {
-        res.status(500).send({ message: "Failed to fetch payments", err });
+        res.status(500).send({ message: "Failed to update notification", err });
       }
     });
 
-    // HR Employee List
+    // Analytics (HR). Every endpoint is scoped to the HR's company and takes
+    // optional ?from=&to= dates.
 
-    app.get("/employees/my", verifyJWT, verifyHR, async (req, res) => {
+    // $match stage for one company, with the date range applied to dateField
+    const analyticsMatch = (req, dateField) => {
+      const match = { companyId: req.companyId };
+      const range = parseDateRange(req.query);
+      if (range) match[dateField] = range;
+      return match;
+    };
+
+    const sendAnalytics = (label, handler) => async (req, res) => {
       try {
-        const hrEmail = req.tokenEmail;
+        res.send(await handler(req));
+      } catch (err) {
+        if (err instanceof HttpError)
+          return res.status(err.status).send({ message: err.message });
+        console.error(err);
+        res.status(500).send({ message: `Failed to load ${label}`, err });
+      }
+    };
 
-        const employees = await employeeAffiliationsCollection
+    const isReturnableExpr = {
+      $eq: [{ $toLower: { $trim: { input: "$type" } } }, "returnable"],
+    };
+
+    app.get(
+      "/analytics/asset-types",
+      verifyJWT,
+      verifyHR,
+      sendAnalytics("asset type split", (req) =>
+        assetsCollection
+          .aggregate([
+            {
+              $match: { ...analyticsMatch(req, "dateAdded"), deletedAt: null },
+            },
+            {
+              $group: {
+                _id: {
+                  $cond: [isReturnableExpr, "returnable", "non-returnable"],
+                },
+                assets: { $sum: 1 },
+                quantity: { $sum: "$quantity" },
+                availableQuantity: { $sum: "$availableQuantity" },
+              },
+            },
+            {
+              $project: {
+                _id: 0,
+                type: "$_id",
+                assets: 1,
+                quantity: 1,
+                availableQuantity: 1,
+              },
+            },
+            { $sort: { type: -1 } },
+          ])
+          .toArray()
+      )
+    );
+
+    app.get(
+      "/analytics/top-assets",
+      verifyJWT,
+      verifyHR,
+      sendAnalytics("top assets", (req) => {
+        const limit = Math.min(
+          Math.max(parseInt(req.query.limit, 10) || 5, 1),
+          50
+        );
+        return requestsCollection
+          .aggregate([
+            { $match: analyticsMatch(req, "requestDate") },
+            {
+              $group: {
+                _id: "$assetId",
+                assetName: { $last: "$assetName" },
+                assetType: { $last: "$assetType" },
+                requests: { $sum: 1 },
+                approved: {
+                  $sum: {
+                    $cond: [
+                      { $in: ["$requestStatus", ["approved", "returned"]] },
+                      1,
+                      0,
+                    ],
+                  },
+                },
+              },
+            },
+            { $sort: { requests: -1, _id: 1 } },
+            { $limit: limit },
+            {
+              $project: {
+                _id: 0,
+                assetId: "$_id",
+                assetName: 1,
+                assetType: 1,
+                requests: 1,
+                approved: 1,
+              },
+            },
+          ])
+          .toArray();
+      })
+    );
+
+    app.get(
+      "/analytics/requests-per-month",
+      verifyJWT,
+      verifyHR,
+      sendAnalytics("monthly requests", async (req) => {
+        const rows = await requestsCollection
+          .aggregate([
+            { $match: analyticsMatch(req, "requestDate") },
+            {
+              $group: {
+                _id: {
+                  month: {
+                    $dateToString: { format: "%Y-%m", date: "$requestDate" },
+                  },
+                  status: "$requestStatus",
+                },
+                count: { $sum: 1 },
+              },
+            },
+            {
+              $group: {
+                _id: "$_id.month",
+                total: { $sum: "$count" },
+                statuses: { $push: { k: "$_id.status", v: "$count" } },
+              },
+            },
+            { $sort: { _id: 1 } },
+          ])
+          .toArray();
+
+        // one row per month with a count for every status (0 when absent)
+        return rows.map(({ _id, total, statuses }) => ({
+          month: _id,
+          total,
+          ...Object.fromEntries(REQUEST_STATUSES.map((status) => [status, 0])),
+          ...Object.fromEntries(statuses.map(({ k, v }) => [k, v])),
+        }));
+      })
+    );
+
+    app.get(
+      "/analytics/approval-turnaround",
+      verifyJWT,
+      verifyHR,
+      sendAnalytics("approval turnaround", async (req) => {
+        const [result] = await requestsCollection
           .aggregate([
             {
               $match: {
-                hrEmail,
-                status: "active",
+                ...analyticsMatch(req, "requestDate"),
+                approvalDate: { $type: "date" },
+                // returns made before the two-step flow overwrote
+                // approvalDate with the return date and have no returnDate;
+                // their real approval time is lost, so they are left out
+                $or: [
+                  { requestStatus: { $in: ["approved", "rejected"] } },
+                  { requestStatus: "returned", returnDate: { $type: "date" } },
+                ],
               },
             },
             {
-              $lookup: {
-                from: "users",
-                localField: "employeeEmail",
-                foreignField: "email",
-                as: "employeeInfo",
+              $project: {
+                requestStatus: 1,
+                hours: {
+                  $divide: [
+                    { $subtract: ["$approvalDate", "$requestDate"] },
+                    1000 * 60 * 60,
+                  ],
+                },
+              },
+            },
+            {
+              $group: {
+                _id: null,
+                processed: { $sum: 1 },
+                averageHours: { $avg: "$hours" },
+                minHours: { $min: "$hours" },
+                maxHours: { $max: "$hours" },
+              },
+            },
+            { $project: { _id: 0 } },
+          ])
+          .toArray();
+
+        return (
+          result || {
+            processed: 0,
+            averageHours: null,
+            minHours: null,
+            maxHours: null,
+          }
+        );
+      })
+    );
+
+    app.get(
+      "/analytics/employee-holdings",
+      verifyJWT,
+      verifyHR,
+      sendAnalytics("employee holdings", (req) =>
+        assignedAssetsCollection
+          .aggregate([
+            {
+              $match: {
+                ...analyticsMatch(req, "assignmentDate"),
+                status: { $in: ACTIVE_ASSIGNMENT_STATUSES },
               },
             },
-            { $unwind: "$employeeInfo" },
+            {
+              $group: {
+                _id: "$employeeEmail",
+                employeeName: { $last: "$employeeName" },
+                items: { $sum: 1 },
+                returnable: {
+                  $sum: {
+                    $cond: [
+                      {
+                        $eq: [
+                          { $toLower: { $trim: { input: "$assetType" } } },
+                          "returnable",
+                        ],
+                      },
+                      1,
+                      0,
+                    ],
+                  },
+                },
+                assets: { $push: "$assetName" },
+              },
+            },
+            { $sort: { items: -1, _id: 1 } },
+            {
+              $project: {
+                _id: 0,
+                employeeEmail: "$_id",
+                employeeName: 1,
+                items: 1,
+                returnable: 1,
+                assets: 1,
+              },
+            },
+          ])
+          .toArray()
+      )
+    );
+
+    app.get(
+      "/analytics/stock-utilisation",
+      verifyJWT,
+      verifyHR,
+      sendAnalytics("stock utilisation", async (req) => {
+        const now = new Date();
+        const assets = await assetsCollection
+          .aggregate([
+            {
+              $match: { ...analyticsMatch(req, "dateAdded"), deletedAt: null },
+            },
+            // assigned: units with employees right now (a booking counts
+            // once it has started); maintenance: units out for repair,
+            // counted apart so they do not pass for use
             {
               $lookup: {
                 from: "assignedAssets",
-                localField: "employeeEmail",
-                foreignField: "employeeEmail",
-                as: "assignedAssets",
+                let: { assetId: "$_id" },
+                pipeline: [
+                  {
+                    $match: {
+                      $expr: { $eq: ["$assetId", "$$assetId"] },
+                      status: { $in: ACTIVE_ASSIGNMENT_STATUSES },
+                      $or: [
+                        { bookingStart: null },
+                        { bookingStart: { $lte: now } },
+                      ],
+                    },
+                  },
+                  { $count: "count" },
+                ],
+                as: "assignments",
+              },
+            },
+            {
+              $lookup: {
+                from: "assetUnits",
+                let: { assetId: "$_id" },
+                pipeline: [
+                  {
+                    $match: {
+                      $expr: { $eq: ["$assetId", "$$assetId"] },
+                      status: "in_repair",
+                    },
+                  },
+                  { $count: "count" },
+                ],
+                as: "unitsInRepair",
               },
             },
             {
               $project: {
-                employeeEmail: 1,
-                employeeName: 1,
-                affiliationDate: 1,
-                profileImage: "$employeeInfo.profileImage",
-                assetsCount: { $size: "$assignedAssets" },
+                name: 1,
+                type: 1,
+                quantity: 1,
+                availableQuantity: 1,
+                assigned: {
+                  $ifNull: [{ $first: "$assignments.count" }, 0],
+                },
+                maintenance: {
+                  $add: [
+                    { $ifNull: ["$maintenanceQuantity", 0] },
+                    { $ifNull: [{ $first: "$unitsInRepair.count" }, 0] },
+                  ],
+                },
+              },
+            },
+            {
+              $addFields: {
+                utilisation: {
+                  $cond: [
+                    { $gt: ["$quantity", 0] },
+                    { $divide: ["$assigned", "$quantity"] },
+                    0,
+                  ],
+                },
               },
             },
+            { $sort: { utilisation: -1, name: 1 } },
           ])
           .toArray();
 
-        const hr = await usersCollection.findOne({ email: hrEmail });
+        const quantity = assets.reduce((sum, a) => sum + a.quantity, 0);
+        const assigned = assets.reduce((sum, a) => sum + a.assigned, 0);
+        const maintenance = assets.reduce((sum, a) => sum + a.maintenance, 0);
+
+        return {
+          totals: {
+            assets: assets.length,
+            quantity,
+            assigned,
+            maintenance,
+            available: Math.max(quantity - assigned - maintenance, 0),
+            utilisation: quantity ? assigned / quantity : 0,
+          },
+          assets,
+        };
+      })
+    );
+
+    // Reports (HR)
+
+    // GET /reports/valuation?asOf=2025-12-31 (default: now)
+    // Book value per asset, per asset type and per employee holding on a
+    // date. Quantities are today's: stock written off before asOf is not
+    // added back. Assets without a purchase price are counted as unpriced.
+    app.get("/reports/valuation", verifyJWT, verifyHR, async (req, res) => {
+      try {
+        const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+        if (isNaN(asOf))
+          return res.status(400).send({ message: "Invalid asOf date" });
+        // a bare date means the end of that day
+        if (/^\d{4}-\d{2}-\d{2}$/.test(String(req.query.asOf)))
+          asOf.setUTCHours(23, 59, 59, 999);
+
+        const [allAssets, holdings] = await Promise.all([
+          assetsCollection.find({ companyId: req.companyId }).toArray(),
+          // held on asOf: handed over by then and not back (or lost) yet
+          assignedAssetsCollection
+            .find({
+              companyId: req.companyId,
+              assignmentDate: { $lte: asOf },
+              status: { $ne: "cancelled" },
+              $and: [
+                {
+                  $or: [
+                    { bookingStart: null },
+                    { bookingStart: { $lte: asOf } },
+                  ],
+                },
+                { $or: [{ returnDate: null }, { returnDate: { $gt: asOf } }] },
+                {
+                  $or: [
+                    { unrecoveredAt: null },
+                    { unrecoveredAt: { $gt: asOf } },
+                  ],
+                },
+              ],
+            })
+            .project({ employeeEmail: 1, employeeName: 1, assetId: 1 })
+            .toArray(),
+        ]);
+
+        const assetsById = new Map(
+          allAssets.map((asset) => [String(asset._id), asset])
+        );
+        const owned = allAssets.filter(
+          (asset) =>
+            new Date(asset.purchaseDate || asset.dateAdded) <= asOf &&
+            (!asset.deletedAt || asset.deletedAt > asOf)
+        );
+
+        const blank = () => ({ units: 0, costBasis: 0, bookValue: 0 });
+        const totals = { assets: owned.length, unpricedAssets: 0, ...blank() };
+        const byType = new Map();
+
+        const assets = owned.map((asset) => {
+          const unitValue = unitBookValue(asset, asOf);
+          const row = {
+            assetId: asset._id,
+            name: asset.name,
+            type: asset.type,
+            quantity: asset.quantity,
+            purchasePrice: asset.purchasePrice ?? null,
+            purchaseDate: asset.purchaseDate ?? null,
+            unitValue,
+            costBasis:
+              unitValue === null
+                ? null
+                : roundMoney(asset.purchasePrice * asset.quantity),
+            bookValue:
+              unitValue === null
+                ? null
+                : roundMoney(unitValue * asset.quantity),
+          };
+          if (unitValue === null) {
+            totals.unpricedAssets++;
+            return row;
+          }
+
+          const type = byType.get(asset.type) || {
+            type: asset.type,
+            ...blank(),
+          };
+          for (const bucket of [totals, type]) {
+            bucket.units += asset.quantity;
+            bucket.costBasis += row.costBasis;
+            bucket.bookValue += row.bookValue;
+          }
+          byType.set(asset.type, type);
+          return row;
+        });
+
+        const byEmployee = new Map();
+        holdings.forEach((holding) => {
+          const asset = assetsById.get(String(holding.assetId));
+          const unitValue = asset ? unitBookValue(asset, asOf) : null;
+          const employee = byEmployee.get(holding.employeeEmail) || {
+            employeeEmail: holding.employeeEmail,
+            employeeName: holding.employeeName,
+            items: 0,
+            unpricedItems: 0,
+            bookValue: 0,
+          };
+          employee.items++;
+          if (unitValue === null) employee.unpricedItems++;
+          else employee.bookValue += unitValue;
+          byEmployee.set(holding.employeeEmail, employee);
+        });
+
+        const withDepreciation = (bucket) => ({
+          ...bucket,
+          costBasis: roundMoney(bucket.costBasis),
+          bookValue: roundMoney(bucket.bookValue),
+          depreciation: roundMoney(bucket.costBasis - bucket.bookValue),
+        });
 
         res.send({
-          employees,
-          currentEmployees: hr?.currentEmployees || 0,
-          packageLimit: hr?.packageLimit || 0,
+          asOf,
+          totals: withDepreciation(totals),
+          assets: assets.sort(
+            (a, b) => (b.bookValue ?? -1) - (a.bookValue ?? -1)
+          ),
+          byType: [...byType.values()]
+            .map(withDepreciation)
+            .sort((a, b) => b.bookValue - a.bookValue),
+          byEmployee: [...byEmployee.values()]
+            .map((employee) => ({
+              ...employee,
+              bookValue: roundMoney(employee.bookValue),
+            }))
+            .sort((a, b) => b.bookValue - a.bookValue),
         });
       } catch (err) {
         console.error(err);
-        res.status(500).send({ message: "Error fetching employees" });
+        res.status(500).send({ message: "Failed to build valuation", err });
       }
     });
 
-    app.patch(
-      "/employees/:email/remove",
+    // GET /reports/warranty-expiring?days=30&includeExpired=true
+    app.get(
+      "/reports/warranty-expiring",
       verifyJWT,
       verifyHR,
       async (req, res) => {
         try {
-          const employeeEmail = req.params.email;
+          const days =
+            req.query.days === undefined ? 30 : Number(req.query.days);
+          if (!Number.isInteger(days) || days < 1 || days > 365)
+            return res
+              .status(400)
+              .send({ message: "days must be between 1 and 365" });
 
-          await employeeAffiliationsCollection.updateOne(
-            { employeeEmail, hrEmail: req.tokenEmail },
-            { $set: { status: "inactive" } }
-          );
+          const now = new Date();
+          const warrantyExpiry = {
+            $lte: new Date(now.getTime() + days * DAY_MS),
+            ...(req.query.includeExpired !== "true" && { $gte: now }),
+          };
 
-          await usersCollection.updateOne(
-            { email: req.tokenEmail },
-            { $inc: { currentEmployees: -1 } }
-          );
+          const assets = await assetsCollection
+            .find({ companyId: req.companyId, deletedAt: null, warrantyExpiry })
+            .project({
+              name: 1,
+              type: 1,
+              quantity: 1,
+              vendor: 1,
+              purchaseDate: 1,
+              warrantyExpiry: 1,
+            })
+            .sort({ warrantyExpiry: 1 })
+            .toArray();
 
-          await usersCollection.updateOne(
-            { email: employeeEmail },
-            {
-              $pull: {
-                companyAffiliations: {
-                  approvedBy: req.tokenEmail,
-                },
-              },
-            }
+          res.send(
+            assets.map((asset) => ({
+              ...asset,
+              expired: asset.warrantyExpiry < now,
+              daysLeft: Math.ceil((asset.warrantyExpiry - now) / DAY_MS),
+            }))
           );
-
-          res.send({ message: "Employee removed from team" });
         } catch (err) {
-          res.status(500).send({ message: "Failed to remove employee", err });
+          res
+            .status(500)
+            .send({ message: "Failed to fetch expiring warranties", err });
         }
       }
     );
 
+    // Audit Log (HR, read-only)
+
+    app.get("/audit", verifyJWT, verifyHR, async (req, res) => {
+      try {
+        const { page, limit, skip } = parsePagination(req.query, 20);
+        const { action, actor, targetType, targetId } = req.query;
+
+        const query = { companyId: req.companyId };
+        if (action) query.action = action;
+        if (actor) query.actor = actor;
+        if (targetType) query.targetType = targetType;
+        if (targetId) {
+          query.targetId = ObjectId.isValid(targetId)
+            ? { $in: [new ObjectId(targetId), targetId] }
+            : targetId;
+        }
+        const createdAt = parseDateRange(req.query);
+        if (createdAt) query.createdAt = createdAt;
+
+        const [entries, total] = await Promise.all([
+          auditLogCollection
+            .find(query)
+            .sort({ createdAt: -1, _id: -1 })
+            .skip(skip)
+            .limit(limit)
+            .toArray(),
+          auditLogCollection.countDocuments(query),
+        ]);
+
+        res.send({
+          entries,
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit),
+        });
+      } catch (err) {
+        if (err instanceof HttpError)
+          return res.status(err.status).send({ message: err.message });
+        res.status(500).send({ message: "Failed to fetch audit log", err });
+      }
+    });
+
     // Send a ping to confirm a successful connection
     await client.db("admin").command({ ping: 1 });
     console.log(
       "Pinged your deployment. You successfully connected to MongoDB!"
     );
-  } finally {
-    // Ensures that the client will close when you finish/error
+
+    app.get("/", (req, res) => {
+      res.send("Welcome to AssetVerse Server");
+    });
+
+    // Stops this app's background work and ends its notification streams.
+    // The database connection belongs to the caller.
+    app.close = () => {
+      clearInterval(overdueTimer);
+      streams.closeAll();
+    };
+
+    return app;
+  } catch (err) {
+    // setup (indexes, ping) failed: do not leave the connection open
+    await client.close();
+    throw err;
   }
-}
-run().catch(console.dir);
+};
 
-app.get("/", (req, res) => {
-  res.send("Welcome to AssetVerse Server");
-});
+module.exports = { createApp };
 
-app.listen(port, () => {
-  console.log(`AssetVerse server is running on port ${port}`);
-});
+// `node index.js` and the Vercel build start the server from .env settings
+if (require.main === module || process.env.VERCEL) {
+  providersFromEnv()
+    .then(createApp)
+    .then((app) =>
+      app.listen(port, () => {
+        console.log(`AssetVerse server is running on port ${port}`);
+      })
+    )
+    .catch((err) => {
+      console.error(err);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,276 @@
+// In-memory stand-in for the Stripe client, for local development. It
+// implements the calls the app makes, serves its own "hosted checkout" page
+// and delivers signed webhook events back to the server, so checkout,
+// payment confirmation and subscription changes all work offline.
+//
+// State lives in process memory: restarting the server forgets every
+// session and subscription it created.
+const crypto = require("crypto");
+const express = require("express");
+
+const PERIOD_SECONDS = { month: 30 * 24 * 60 * 60, year: 365 * 24 * 60 * 60 };
+
+const fakeId = (prefix) =>
+  `${prefix}_fake_${crypto.randomBytes(8).toString("hex")}`;
+
+const unixNow = () => Math.floor(Date.now() / 1000);
+
+// Same "t=...,v1=..." scheme as Stripe, so scripts/stripe-webhook-fixture.js
+// works against this provider too
+const signPayload = (payload, secret, timestamp = unixNow()) => {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${payload}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+};
+
+const verifySignature = (payload, header, secret) => {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((part) => part.split("="))
+  );
+  const expected = signPayload(payload, secret, parts.t).split("v1=")[1];
+  const given = Buffer.from(parts.v1 || "");
+  if (
+    given.length !== expected.length ||
+    !crypto.timingSafeEqual(given, Buffer.from(expected))
+  ) {
+    throw new Error("Invalid webhook signature");
+  }
+};
+
+// baseUrl: where this server is reachable, for checkout links and webhooks
+const createFakePayments = ({ baseUrl, webhookSecret = "whsec_fake" }) => {
+  const sessions = new Map();
+  const subscriptions = new Map();
+
+  const find = (store, id, kind) => {
+    const object = store.get(id);
+    if (!object) throw new Error(`No such ${kind}: ${id}`);
+    return object;
+  };
+
+  const deliver = async (type, object) => {
+    const payload = JSON.stringify({
+      id: fakeId("evt"),
+      object: "event",
+      type,
+      created: unixNow(),
+      data: { object: structuredClone(object) },
+    });
+    try {
+      const res = await fetch(`${baseUrl}/stripe/webhook`, {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          "stripe-signature": signPayload(payload, webhookSecret),
+        },
+        body: payload,
+      });
+      if (!res.ok) console.error(`Fake ${type} webhook got ${res.status}`);
+    } catch (err) {
+      console.error(`Fake ${type} webhook failed`, err.message);
+    }
+  };
+
+  const subscriptionItem = (priceData, id = fakeId("si")) => ({
+    id,
+    current_period_end:
+      unixNow() + PERIOD_SECONDS[priceData.recurring?.interval || "month"],
+    price: {
+      product: priceData.product,
+      currency: priceData.currency,
+      unit_amount: priceData.unit_amount,
+      recurring: priceData.recurring,
+    },
+  });
+
+  const invoiceFor = (subscription, billingReason, paid = true) => {
+    const amount = subscription.items.data[0].price.unit_amount;
+    return {
+      id: fakeId("in"),
+      object: "invoice",
+      amount_due: amount,
+      amount_paid: paid ? amount : 0,
+      billing_reason: billingReason,
+      parent: { subscription_details: { subscription: subscription.id } },
+    };
+  };
+
+  // What Stripe does once the customer pays on the hosted checkout page
+  const completeSession = async (id) => {
+    const session = find(sessions, id, "checkout session");
+    if (session.status !== "open") return session;
+
+    session.status = "complete";
+    session.payment_status = "paid";
+
+    if (session.mode === "subscription") {
+      const subscription = {
+        id: fakeId("sub"),
+        object: "subscription",
+        status: "active",
+        customer: session.customer || fakeId("cus"),
+        metadata: { ...session.subscription_data?.metadata },
+        cancel_at_period_end: false,
+        items: { data: [subscriptionItem(session.line_items[0].price_data)] },
+      };
+      subscriptions.set(subscription.id, subscription);
+      session.subscription = subscription.id;
+      session.customer = subscription.customer;
+
+      await deliver("checkout.session.completed", session);
+      await deliver(
+        "invoice.paid",
+        invoiceFor(subscription, "subscription_create")
+      );
+    } else {
+      session.payment_intent = fakeId("pi");
+      await deliver("checkout.session.completed", session);
+    }
+    return session;
+  };
+
+  // Mounted by the app under /dev/payments. No auth: only ever use this
+  // provider on a development machine.
+  const router = express.Router();
+
+  router.get("/checkout/:id", async (req, res) => {
+    try {
+      const session = await completeSession(req.params.id);
+      res.redirect(
+        session.success_url.replace("{CHECKOUT_SESSION_ID}", session.id)
+      );
+    } catch (err) {
+      res.status(404).send({ message: err.message });
+    }
+  });
+
+  // Renewals, succeeding or failing, to exercise the billing cycle and the
+  // past_due grace period
+  router.post("/subscriptions/:id/renew", async (req, res) => {
+    try {
+      const subscription = find(subscriptions, req.params.id, "subscription");
+      const paid = req.query.fail !== "true";
+      const [item] = subscription.items.data;
+
+      if (paid) {
+        subscription.status = "active";
+        item.current_period_end =
+          item.current_period_end +
+          PERIOD_SECONDS[item.price.recurring?.interval || "month"];
+      } else {
+        subscription.status = "past_due";
+      }
+
+      await deliver(
+        paid ? "invoice.paid" : "invoice.payment_failed",
+        invoiceFor(subscription, "subscription_cycle", paid)
+      );
+      res.send(subscription);
+    } catch (err) {
+      res.status(404).send({ message: err.message });
+    }
+  });
+
+  // The end of a period for a subscription set to cancel then
+  router.post("/subscriptions/:id/end", async (req, res) => {
+    try {
+      const subscription = find(subscriptions, req.params.id, "subscription");
+      subscription.status = "canceled";
+      await deliver("customer.subscription.deleted", subscription);
+      res.send(subscription);
+    } catch (err) {
+      res.status(404).send({ message: err.message });
+    }
+  });
+
+  return {
+    router,
+
+    checkout: {
+      sessions: {
+        create: async (params) => {
+          const id = fakeId("cs");
+          const session = {
+            id,
+            object: "checkout.session",
+            mode: params.mode,
+            status: "open",
+            payment_status: "unpaid",
+            amount_total: params.line_items.reduce(
+              (sum, item) =>
+                sum + item.price_data.unit_amount * (item.quantity || 1),
+              0
+            ),
+            currency: params.line_items[0]?.price_data.currency,
+            customer: params.customer ?? null,
+            customer_email: params.customer_email ?? null,
+            client_reference_id: params.client_reference_id ?? null,
+            metadata: { ...params.metadata },
+            subscription_data: params.subscription_data,
+            line_items: params.line_items,
+            payment_intent: null,
+            subscription: null,
+            success_url: params.success_url,
+            cancel_url: params.cancel_url,
+            url: `${baseUrl}/dev/payments/checkout/${id}`,
+          };
+          sessions.set(id, session);
+          return structuredClone(session);
+        },
+        retrieve: async (id) =>
+          structuredClone(find(sessions, id, "checkout session")),
+      },
+    },
+
+    subscriptions: {
+      retrieve: async (id) =>
+        structuredClone(find(subscriptions, id, "subscription")),
+
+      update: async (id, params) => {
+        const subscription = find(subscriptions, id, "subscription");
+        if (params.metadata)
+          subscription.metadata = {
+            ...subscription.metadata,
+            ...params.metadata,
+          };
+        if (params.cancel_at_period_end !== undefined)
+          subscription.cancel_at_period_end = params.cancel_at_period_end;
+
+        const [item] = params.items || [];
+        if (item?.price_data) {
+          subscription.items.data = [
+            subscriptionItem(item.price_data, subscription.items.data[0].id),
+          ];
+          await deliver(
+            "invoice.paid",
+            invoiceFor(subscription, "subscription_update")
+          );
+        }
+
+        await deliver("customer.subscription.updated", subscription);
+        return structuredClone(subscription);
+      },
+    },
+
+    products: {
+      create: async (params) => ({
+        id: fakeId("prod"),
+        object: "product",
+        ...params,
+      }),
+    },
+
+    webhooks: {
+      constructEvent: (payload, signature) => {
+        verifySignature(payload, signature, webhookSecret);
+        return JSON.parse(payload);
+      },
+    },
+  };
+};
+
+module.exports = { createFakePayments };
@@ -0,0 +1,24 @@
+// Identity provider backed by Firebase Auth ID tokens (production)
+const admin = require("firebase-admin");
+
+// serviceKey: the service account JSON, base64 encoded (see
+// serviceKeyConverter.js)
+const createFirebaseIdentity = ({ serviceKey }) => {
+  if (!serviceKey) throw new Error("FB_SERVICE_KEY is not set");
+
+  const serviceAccount = JSON.parse(
+    Buffer.from(serviceKey, "base64").toString("utf-8")
+  );
+  const firebase = admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount),
+  });
+
+  return {
+    verifyToken: async (token) => {
+      const decoded = await firebase.auth().verifyIdToken(token);
+      return { email: decoded.email };
+    },
+  };
+};
+
+module.exports = { createFirebaseIdentity };
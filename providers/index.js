@@ -0,0 +1,52 @@
+// Builds the app's providers from the environment:
+//   AUTH_PROVIDER     firebase (default) | local
+//   PAYMENT_PROVIDER  stripe (default) | fake
+// The database is always MongoDB at MONGODB_URI.
+const { createFirebaseIdentity } = require("./firebase-identity");
+const { createLocalIdentity } = require("./local-identity");
+const { createStripePayments } = require("./stripe-payments");
+const { createFakePayments } = require("./fake-payments");
+const { connectMongo } = require("./mongo-database");
+
+const identityFromEnv = (env) => {
+  switch (env.AUTH_PROVIDER || "firebase") {
+    case "firebase":
+      return createFirebaseIdentity({ serviceKey: env.FB_SERVICE_KEY });
+    case "local":
+      return createLocalIdentity({ secret: env.LOCAL_JWT_SECRET });
+    default:
+      throw new Error(`Unknown AUTH_PROVIDER "${env.AUTH_PROVIDER}"`);
+  }
+};
+
+const paymentsFromEnv = (env) => {
+  switch (env.PAYMENT_PROVIDER || "stripe") {
+    case "stripe":
+      return createStripePayments({
+        secretKey: env.STRIPE_SECRET_KEY,
+        webhookSecret: env.STRIPE_WEBHOOK_SECRET,
+      });
+    case "fake":
+      return createFakePayments({
+        baseUrl: env.SERVER_URL || `http://localhost:${env.PORT || 5000}`,
+        webhookSecret: env.STRIPE_WEBHOOK_SECRET,
+      });
+    default:
+      throw new Error(`Unknown PAYMENT_PROVIDER "${env.PAYMENT_PROVIDER}"`);
+  }
+};
+
+const providersFromEnv = async (env = process.env) => ({
+  identity: identityFromEnv(env),
+  payments: paymentsFromEnv(env),
+  database: await connectMongo({ uri: env.MONGODB_URI, dbName: env.DB_NAME }),
+});
+
+module.exports = {
+  providersFromEnv,
+  createFirebaseIdentity,
+  createLocalIdentity,
+  createStripePayments,
+  createFakePayments,
+  connectMongo,
+};
@@ -0,0 +1,30 @@
+// Identity provider that signs its own HS256 JWTs, for local development
+// and tests. Tokens come from scripts/dev-token.js.
+const jwt = require("jsonwebtoken");
+
+const ISSUER = "assetverse-local";
+
+const createLocalIdentity = ({ secret, expiresIn = "12h" }) => {
+  if (!secret) throw new Error("LOCAL_JWT_SECRET is not set");
+
+  return {
+    issueToken: (email) =>
+      jwt.sign({ email }, secret, {
+        algorithm: "HS256",
+        issuer: ISSUER,
+        subject: email,
+        expiresIn,
+      }),
+
+    verifyToken: async (token) => {
+      const decoded = jwt.verify(token, secret, {
+        algorithms: ["HS256"],
+        issuer: ISSUER,
+      });
+      if (!decoded.email) throw new Error("Token has no email");
+      return { email: decoded.email };
+    },
+  };
+};
+
+module.exports = { createLocalIdentity };
@@ -0,0 +1,21 @@
+// Database provider: a connected MongoClient and the app database.
+// Transactions need a replica set, so a local mongod must run as a
+// single-node replica set (mongod --replSet rs0, then rs.initiate()).
+const { MongoClient, ServerApiVersion } = require("mongodb");
+
+const connectMongo = async ({ uri, dbName = "assetsDB" }) => {
+  if (!uri) throw new Error("MONGODB_URI is not set");
+
+  const client = new MongoClient(uri, {
+    serverApi: {
+      version: ServerApiVersion.v1,
+      strict: true,
+      deprecationErrors: true,
+    },
+  });
+  await client.connect();
+
+  return { client, db: client.db(dbName) };
+};
+
+module.exports = { connectMongo };
@@ -0,0 +1,21 @@
+// Payment provider backed by Stripe (production). The app talks to payment
+// providers through the slice of the Stripe client it uses; the webhook
+// secret is bound here so callers only pass the payload and signature.
+const Stripe = require("stripe");
+
+const createStripePayments = ({ secretKey, webhookSecret }) => {
+  if (!secretKey) throw new Error("STRIPE_SECRET_KEY is not set");
+  const stripe = Stripe(secretKey);
+
+  return {
+    checkout: stripe.checkout,
+    subscriptions: stripe.subscriptions,
+    products: stripe.products,
+    webhooks: {
+      constructEvent: (payload, signature) =>
+        stripe.webhooks.constructEvent(payload, signature, webhookSecret),
+    },
+  };
+};
+
+module.exports = { createStripePayments };
@@ -0,0 +1,22 @@
+// Prints a bearer token for the local identity provider
+// (AUTH_PROVIDER=local), signed with LOCAL_JWT_SECRET from .env.
+//
+//   node scripts/dev-token.js <email>
+require("dotenv").config();
+const { createLocalIdentity } = require("../providers");
+
+const email = process.argv[2];
+if (!email) {
+  console.log("Usage: node scripts/dev-token.js <email>");
+  process.exit(1);
+}
+
+try {
+  const identity = createLocalIdentity({
+    secret: process.env.LOCAL_JWT_SECRET,
+  });
+  console.log(identity.issueToken(email));
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
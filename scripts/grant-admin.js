@@ -0,0 +1,47 @@
+// Makes a registered user a platform admin. There is no HTTP route for this
+// on purpose: admin is granted by someone with database access.
+//
+//   node scripts/grant-admin.js <email> [--revoke]
+require("dotenv").config();
+const { MongoClient } = require("mongodb");
+
+const main = async () => {
+  const email = process.argv[2];
+  const revoke = process.argv.includes("--revoke");
+  if (!email) {
+    console.log("Usage: node scripts/grant-admin.js <email> [--revoke]");
+    process.exit(1);
+  }
+
+  const client = new MongoClient(process.env.MONGODB_URI);
+  await client.connect();
+  const users = client
+    .db(process.env.DB_NAME || "assetsDB")
+    .collection("users");
+
+  const user = await users.findOne({ email });
+  if (!user) {
+    console.log(`No user registered as ${email}`);
+  } else if (revoke) {
+    await users.updateOne(
+      { _id: user._id, role: "admin" },
+      { $unset: { role: "" }, $set: { updatedAt: new Date() } }
+    );
+    console.log(`${email} is no longer an admin`);
+  } else if (user.role && user.role !== "admin") {
+    console.log(`${email} is already registered as ${user.role}`);
+  } else {
+    await users.updateOne(
+      { _id: user._id },
+      { $set: { role: "admin", updatedAt: new Date() } }
+    );
+    console.log(`${email} is now an admin`);
+  }
+
+  await client.close();
+};
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,126 @@
+// One-off migration from "company = HR email" to the companies collection.
+//
+//   node scripts/migrate-companies.js [--dry-run]
+//
+// For every HR without a companyId it creates a company from the HR's
+// companyName / companyLogo / packageLimit / currentEmployees, makes the HR
+// its owner, and stamps companyId on everything that was keyed by that HR's
+// email. HRs with no packageLimit had no seat limit; their companies get
+// unlimitedSeats so they keep it until they buy a package. Safe to re-run: documents that already have a companyId are skipped,
+// and an HR whose company was already created is attached to it.
+require("dotenv").config();
+const { MongoClient } = require("mongodb");
+
+const dryRun = process.argv.includes("--dry-run");
+
+const migrate = async () => {
+  const client = new MongoClient(process.env.MONGODB_URI);
+  await client.connect();
+  const db = client.db(process.env.DB_NAME || "assetsDB");
+
+  const users = db.collection("users");
+  const companies = db.collection("companies");
+  // collections whose documents were scoped by hrEmail
+  const scoped = [
+    "assets",
+    "requests",
+    "assignedAssets",
+    "employeeAffiliations",
+    "payments",
+    "auditLog",
+  ].map((name) => db.collection(name));
+
+  const hrs = await users
+    .find({ role: "hr", companyId: { $exists: false } })
+    .toArray();
+  console.log(
+    `${hrs.length} HR account(s) to migrate${dryRun ? " (dry run)" : ""}`
+  );
+
+  for (const hr of hrs) {
+    const company = {
+      name: hr.companyName || "N/A",
+      logo: hr.companyLogo || "",
+      packageLimit: hr.packageLimit || 0,
+      // a packageLimit of 0 meant no limit; keep it that way until the
+      // company buys a package
+      ...(!hr.packageLimit && { unlimitedSeats: true }),
+      currentEmployees: hr.currentEmployees || 0,
+      ownerEmail: hr.email,
+      createdAt: hr.createdAt || new Date(),
+      updatedAt: new Date(),
+    };
+
+    if (dryRun) {
+      const counts = await Promise.all(
+        scoped.map((collection) =>
+          collection.countDocuments({
+            hrEmail: hr.email,
+            companyId: { $exists: false },
+          })
+        )
+      );
+      console.log(
+        `${hr.email} -> "${company.name}"`,
+        Object.fromEntries(
+          scoped.map((collection, i) => [collection.collectionName, counts[i]])
+        )
+      );
+      continue;
+    }
+
+    // a run that stopped after creating the company picks it up again
+    // instead of creating a second one
+    const existing = await companies.findOne({ ownerEmail: hr.email });
+    const companyId = existing
+      ? existing._id
+      : (await companies.insertOne(company)).insertedId;
+
+    await users.updateOne(
+      { _id: hr._id },
+      {
+        $set: { companyId, hrRole: "owner", updatedAt: new Date() },
+        $unset: { packageLimit: "", currentEmployees: "" },
+      }
+    );
+
+    for (const collection of scoped) {
+      await collection.updateMany(
+        { hrEmail: hr.email, companyId: { $exists: false } },
+        { $set: { companyId } }
+      );
+    }
+
+    // employees' profile copies of the affiliation
+    await users.updateMany(
+      { "companyAffiliations.approvedBy": hr.email },
+      { $set: { "companyAffiliations.$[aff].companyId": companyId } },
+      { arrayFilters: [{ "aff.approvedBy": hr.email }] }
+    );
+
+    console.log(`${hr.email} -> company ${companyId} ("${company.name}")`);
+  }
+
+  // companies migrated before unlimitedSeats existed
+  const unlimited = {
+    packageLimit: 0,
+    subscription: { $exists: false },
+    unlimitedSeats: { $exists: false },
+  };
+  if (dryRun) {
+    const count = await companies.countDocuments(unlimited);
+    console.log(`${count} company(ies) to flag unlimitedSeats`);
+  } else {
+    const flagged = await companies.updateMany(unlimited, {
+      $set: { unlimitedSeats: true },
+    });
+    console.log(`${flagged.modifiedCount} company(ies) flagged unlimitedSeats`);
+  }
+
+  await client.close();
+};
+
+migrate().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
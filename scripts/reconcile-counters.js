@@ -0,0 +1,53 @@
+// Recomputes companies.currentEmployees and assets.availableQuantity from
+// the affiliation and assignment records and prints what differs.
+//
+//   node scripts/reconcile-counters.js [--apply] [--company <companyId>]
+//
+// Dry run unless --apply is given. Reads MONGODB_URI and DB_NAME, so it
+// can be pointed at any database from the command line.
+require("dotenv").config();
+const { MongoClient, ObjectId } = require("mongodb");
+const { reconcileCounters } = require("../utils/reconcile");
+
+const main = async () => {
+  const apply = process.argv.includes("--apply");
+  const companyArg = process.argv[process.argv.indexOf("--company") + 1];
+  const scoped = process.argv.includes("--company");
+  if (scoped && !ObjectId.isValid(companyArg)) {
+    console.log(
+      "Usage: node scripts/reconcile-counters.js [--apply] [--company <companyId>]"
+    );
+    process.exit(1);
+  }
+
+  const client = new MongoClient(process.env.MONGODB_URI);
+  await client.connect();
+  const db = client.db(process.env.DB_NAME || "assetsDB");
+
+  const report = await reconcileCounters(db, {
+    apply,
+    companyId: scoped ? new ObjectId(companyArg) : null,
+    actor: "scripts/reconcile-counters",
+  });
+
+  console.log(
+    `Checked ${report.checked.companies} company(ies) and ${
+      report.checked.assets
+    } asset(s)${apply ? "" : " (dry run)"}`
+  );
+  report.discrepancies.forEach((item) => {
+    console.log(
+      `${item.collection} ${item._id} "${item.name}": ${item.field} ${item.stored} -> ${item.expected}` +
+        (item.warning ? ` [${item.warning}]` : "") +
+        (item.skipped ? " [skipped: changed while running]" : "")
+    );
+  });
+  if (apply) console.log(`Fixed ${report.applied}, skipped ${report.skipped}`);
+
+  await client.close();
+};
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
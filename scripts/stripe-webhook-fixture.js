@@ -0,0 +1,87 @@
+// Sends a locally signed Stripe event to a running server, so the webhook can
+// be exercised without the Stripe CLI.
+//
+//   node scripts/stripe-webhook-fixture.js <type> <packageId> <hrEmail> [price]
+//
+// <type> is one of: completed, async_succeeded, async_failed, expired
+// Set COMPANY_ID to target a company directly; otherwise the server resolves
+// it from hrEmail. Uses STRIPE_WEBHOOK_SECRET from .env and posts to WEBHOOK_URL
+// (default http://localhost:5000/stripe/webhook).
+require("dotenv").config();
+const crypto = require("crypto");
+const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY || "sk_test");
+
+const eventTypes = {
+  completed: "checkout.session.completed",
+  async_succeeded: "checkout.session.async_payment_succeeded",
+  async_failed: "checkout.session.async_payment_failed",
+  expired: "checkout.session.expired",
+};
+
+const buildEvent = (kind, packageId, hrEmail, price) => {
+  const paid = kind === "completed" || kind === "async_succeeded";
+  const id = crypto.randomBytes(8).toString("hex");
+
+  return {
+    id: `evt_test_${id}`,
+    object: "event",
+    type: eventTypes[kind],
+    created: Math.floor(Date.now() / 1000),
+    data: {
+      object: {
+        id: process.env.SESSION_ID || `cs_test_${id}`,
+        object: "checkout.session",
+        mode: "payment",
+        amount_total: Math.round(price * 100),
+        currency: "usd",
+        customer_email: hrEmail,
+        client_reference_id: hrEmail,
+        metadata: {
+          packageId,
+          hrEmail,
+          ...(process.env.COMPANY_ID && { companyId: process.env.COMPANY_ID }),
+        },
+        payment_intent: paid
+          ? process.env.PAYMENT_INTENT || `pi_test_${id}`
+          : null,
+        payment_status: paid ? "paid" : "unpaid",
+        status: kind === "expired" ? "expired" : "complete",
+      },
+    },
+  };
+};
+
+const main = async () => {
+  const [kind, packageId, hrEmail, price = "0"] = process.argv.slice(2);
+  if (!eventTypes[kind] || !packageId || !hrEmail) {
+    console.log(
+      "Usage: node scripts/stripe-webhook-fixture.js <completed|async_succeeded|async_failed|expired> <packageId> <hrEmail> [price]"
+    );
+    process.exit(1);
+  }
+
+  const payload = JSON.stringify(
+    buildEvent(kind, packageId, hrEmail, Number(price))
+  );
+  const signature = stripe.webhooks.generateTestHeaderString({
+    payload,
+    secret: process.env.STRIPE_WEBHOOK_SECRET,
+  });
+
+  const url = process.env.WEBHOOK_URL || "http://localhost:5000/stripe/webhook";
+  const res = await fetch(url, {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      "stripe-signature": signature,
+    },
+    body: payload,
+  });
+
+  console.log(res.status, await res.text());
+};
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,119 @@
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  describeWithServer,
+  registerHr,
+  addEmployee,
+  addAdmin,
+  addAsset,
+} = require("./helpers");
+
+describeWithServer("admin", (ctx) => {
+  let admin;
+  let hr;
+  let acmeId;
+  let globexId;
+
+  before(async () => {
+    admin = await addAdmin(ctx, "admin@assetverse.test");
+    ({ hr, companyId: acmeId } = await registerHr(ctx, "hr@acme.test"));
+    ({ companyId: globexId } = await registerHr(
+      ctx,
+      "hr@globex.test",
+      "Globex"
+    ));
+    await addAsset(hr, { productName: "Laptop" });
+    await addEmployee(ctx, "ana@acme.test", hr);
+
+    await ctx.db.collection("payments").insertMany([
+      {
+        companyId: acmeId,
+        packageName: "Standard",
+        amount: 10,
+        status: "completed",
+        paymentDate: new Date(),
+      },
+      {
+        companyId: globexId,
+        packageName: "Standard",
+        amount: 10,
+        status: "failed",
+        paymentDate: new Date(),
+      },
+    ]);
+  });
+
+  it("is off limits to HRs and employees", async () => {
+    for (const user of [hr, ctx.as("ana@acme.test")]) {
+      for (const path of [
+        "/admin/packages",
+        "/admin/companies",
+        "/admin/usage",
+      ])
+        assert.equal((await user.get(path)).status, 403);
+    }
+  });
+
+  it("manages the package catalogue", async () => {
+    const invalid = await admin.post("/admin/packages", {
+      name: "Broken",
+      price: -1,
+      employeeLimit: 5,
+    });
+    assert.equal(invalid.status, 400);
+
+    const created = await admin.post("/admin/packages", {
+      name: "Starter",
+      price: 5,
+      employeeLimit: 5,
+      features: [" Support ", ""],
+    });
+    assert.equal(created.status, 200);
+    const pkg = created.body.package;
+    assert.deepEqual(pkg.features, ["Support"]);
+
+    const archived = await admin.patch(`/admin/packages/${pkg._id}`, {
+      status: "archived",
+    });
+    assert.equal(archived.status, 200);
+
+    // archived packages are no longer sold, but still show on old payments
+    const listed = await hr.get("/packages");
+    assert.ok(!listed.body.some(({ _id }) => _id === pkg._id));
+    assert.equal((await hr.get(`/packages/${pkg._id}`)).status, 200);
+    const checkout = await hr.post("/create-checkout-session", {
+      packageId: pkg._id,
+    });
+    assert.equal(checkout.status, 404);
+  });
+
+  it("lists companies with their assets and revenue", async () => {
+    const res = await admin.get("/admin/companies?search=acm");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total, 1);
+    const [acme] = res.body.companies;
+    assert.equal(acme.name, "Acme");
+    assert.equal(acme.assets, 1);
+    assert.equal(acme.revenue, 10);
+  });
+
+  it("filters payments across companies", async () => {
+    const res = await admin.get(`/admin/payments?companyId=${globexId}`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.payments.map(({ status }) => status),
+      ["failed"]
+    );
+  });
+
+  it("reports platform-wide usage", async () => {
+    const res = await admin.get("/admin/usage");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.companies, 2);
+    assert.equal(res.body.users.hr, 2);
+    assert.equal(res.body.users.employee, 1);
+    assert.equal(res.body.users.admin, 1);
+    assert.equal(res.body.assets, 1);
+    assert.equal(res.body.revenue.total, 10);
+  });
+});
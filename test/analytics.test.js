@@ -0,0 +1,88 @@
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  describeWithServer,
+  registerHr,
+  addEmployee,
+  addAsset,
+  approvedRequest,
+} = require("./helpers");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describeWithServer("analytics", (ctx) => {
+  let hr;
+  let companyId;
+
+  // Ana holds one of five chairs and is handing it back, two more chairs
+  // are at the upholsterer, and a projector is booked for next week
+  before(async () => {
+    ({ hr, companyId } = await registerHr(ctx, "hr@acme.test"));
+    const { employee } = await addEmployee(ctx, "ana@acme.test", hr);
+
+    const chair = await addAsset(hr, { productName: "Chair", quantity: 5 });
+    await approvedRequest(hr, employee, chair._id);
+    const held = await ctx.db
+      .collection("assignedAssets")
+      .findOne({ assetName: "Chair" });
+    const returning = await employee.patch(
+      `/assigned-assets/${held._id}/return`
+    );
+    assert.equal(returning.status, 200);
+
+    const repair = await hr.post(`/assets/${chair._id}/maintenance`, {
+      quantity: 2,
+      vendor: "Upholstery Co",
+    });
+    assert.equal(repair.status, 201);
+
+    const projector = await addAsset(hr, {
+      productName: "Projector",
+      quantity: 2,
+      bookable: true,
+    });
+    await approvedRequest(hr, employee, projector._id, {
+      startDate: new Date(Date.now() + 7 * DAY_MS).toISOString(),
+      endDate: new Date(Date.now() + 9 * DAY_MS).toISOString(),
+    });
+  });
+
+  it("counts units with employees and in maintenance apart", async () => {
+    const res = await hr.get("/analytics/stock-utilisation");
+    assert.equal(res.status, 200);
+
+    const byName = Object.fromEntries(
+      res.body.assets.map((asset) => [asset.name, asset])
+    );
+    assert.equal(byName.Chair.assigned, 1);
+    assert.equal(byName.Chair.maintenance, 2);
+    assert.equal(byName.Chair.utilisation, 1 / 5);
+    // booked, but not started yet
+    assert.equal(byName.Projector.assigned, 0);
+
+    assert.deepEqual(res.body.totals, {
+      assets: 2,
+      quantity: 7,
+      assigned: 1,
+      maintenance: 2,
+      available: 4,
+      utilisation: 1 / 7,
+    });
+  });
+
+  it("leaves legacy returns out of approval turnaround", async () => {
+    const requestDate = new Date(Date.now() - 3 * DAY_MS);
+    await ctx.db.collection("requests").insertOne({
+      companyId,
+      requestStatus: "returned",
+      requestDate,
+      // overwritten with the return date by the old flow
+      approvalDate: new Date(),
+    });
+
+    const res = await hr.get("/analytics/approval-turnaround");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.processed, 2);
+    assert.ok(res.body.maxHours < 1);
+  });
+});
@@ -0,0 +1,118 @@
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  describeWithServer,
+  registerHr,
+  addEmployee,
+  addAsset,
+  approvedRequest,
+} = require("./helpers");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// YYYY-MM-DD, n days from today (UTC)
+const day = (n) => new Date(Date.now() + n * DAY_MS).toISOString().slice(0, 10);
+
+describeWithServer("bookings", (ctx) => {
+  let hr;
+  let ana;
+  let ben;
+  let projector;
+
+  before(async () => {
+    ({ hr } = await registerHr(ctx, "hr@acme.test"));
+    ({ employee: ana } = await addEmployee(ctx, "ana@acme.test", hr));
+    ({ employee: ben } = await addEmployee(ctx, "ben@acme.test", hr));
+    projector = await addAsset(hr, {
+      productName: "Projector",
+      bookable: true,
+    });
+  });
+
+  it("needs a window that has not started yet", async () => {
+    const missing = await ana.post("/requests", { assetId: projector._id });
+    assert.equal(missing.status, 400);
+
+    const past = await ana.post("/requests", {
+      assetId: projector._id,
+      startDate: day(-2),
+      endDate: day(1),
+    });
+    assert.equal(past.status, 400);
+  });
+
+  it("approves one of two overlapping requests for the last unit", async () => {
+    const ids = [];
+    for (const [employee, startDate, endDate] of [
+      [ana, day(3), day(5)],
+      [ben, day(4), day(6)],
+    ]) {
+      const res = await employee.post("/requests", {
+        assetId: projector._id,
+        startDate,
+        endDate,
+      });
+      assert.equal(res.status, 200);
+      ids.push(res.body.request._id);
+    }
+
+    const results = await Promise.all(
+      ids.map((id) => hr.patch(`/requests/${id}/approve`))
+    );
+    assert.deepEqual(results.map((res) => res.status).sort(), [200, 409]);
+  });
+
+  it("books back-to-back windows on the same unit", async () => {
+    await approvedRequest(hr, ben, projector._id, {
+      startDate: day(10),
+      endDate: day(12),
+    });
+    await approvedRequest(hr, ana, projector._id, {
+      startDate: day(12),
+      endDate: day(14),
+    });
+
+    const full = await ben.post("/requests", {
+      assetId: projector._id,
+      startDate: day(11),
+      endDate: day(13),
+    });
+    assert.equal(full.status, 409);
+  });
+
+  it("shows availability per day, and who booked only to HR", async () => {
+    const path = `/assets/${projector._id}/availability?from=${day(9)}&to=${day(
+      14
+    )}`;
+    const res = await ana.get(path);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.capacity, 1);
+    assert.deepEqual(
+      res.body.days.map(({ date, booked }) => [date, booked]),
+      [
+        [day(9), 0],
+        [day(10), 1],
+        [day(11), 1],
+        [day(12), 1],
+        [day(13), 1],
+        [day(14), 0],
+      ]
+    );
+    assert.equal(res.body.bookings[0].employeeEmail, undefined);
+
+    const asHr = await hr.get(path);
+    assert.ok(asHr.body.bookings.every((booking) => booking.employeeEmail));
+  });
+
+  it("only shows availability for bookable assets of the caller's company", async () => {
+    const laptop = await addAsset(hr, { productName: "Laptop" });
+    const notBookable = await ana.get(`/assets/${laptop._id}/availability`);
+    assert.equal(notBookable.status, 400);
+
+    const { employee } = await addEmployee(ctx, "outsider@other.test");
+    const outsider = await employee.get(
+      `/assets/${projector._id}/availability`
+    );
+    assert.equal(outsider.status, 404);
+  });
+});
@@ -0,0 +1,63 @@
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { describeWithServer, registerHr, addEmployee } = require("./helpers");
+
+describeWithServer("company HR members", (ctx) => {
+  let owner;
+  let member;
+  let companyId;
+  const email = "ben@acme.test";
+
+  const invite = async () => {
+    const res = await owner.post("/company/members", {
+      email,
+      hrRole: "manager",
+    });
+    assert.equal(res.status, 201);
+    return res.body.invitationId;
+  };
+
+  before(async () => {
+    ({ hr: owner, companyId } = await registerHr(ctx, "hr@acme.test"));
+    ({ employee: member } = await addEmployee(ctx, email));
+  });
+
+  it("makes an invitee HR only once they accept", async () => {
+    const invitationId = await invite();
+    assert.equal((await member.get("/hr/me")).status, 403);
+
+    const accepted = await member.post("/company/members/accept", {
+      invitationId,
+    });
+    assert.equal(accepted.status, 200);
+    assert.equal((await member.get("/hr/me")).status, 200);
+  });
+
+  it("turns a removed member back into an employee", async () => {
+    const removed = await owner.delete(`/company/members/${email}`);
+    assert.equal(removed.status, 200);
+
+    const user = await ctx.db.collection("users").findOne({ email });
+    assert.equal(user.role, "employee");
+    assert.equal(user.companyId, undefined);
+    assert.equal(user.hrRole, undefined);
+    assert.equal((await member.get("/hr/me")).status, 403);
+  });
+
+  it("lets a removed member be invited again", async () => {
+    const invitationId = await invite();
+    const accepted = await member.post("/company/members/accept", {
+      invitationId,
+    });
+    assert.equal(accepted.status, 200);
+
+    const user = await ctx.db.collection("users").findOne({ email });
+    assert.equal(user.role, "hr");
+    assert.deepEqual(user.companyId, companyId);
+  });
+
+  it("keeps the last owner", async () => {
+    const res = await owner.delete("/company/members/hr@acme.test");
+    assert.equal(res.status, 409);
+  });
+});
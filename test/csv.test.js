@@ -0,0 +1,85 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCsvRows, toCsvRow } = require("../utils/csv");
+const { describeWithServer, registerHr } = require("./helpers");
+
+describe("csv helpers", () => {
+  it("numbers records by the line they start on", () => {
+    const rows = parseCsvRows(
+      [
+        "productName,productType,quantity",
+        "Laptop,Returnable,2",
+        "",
+        '"Desk, standing","Non-returnable",1',
+        '"Chair',
+        'with a note",Returnable,3',
+        "Mouse,Returnable,4",
+      ].join("\r\n")
+    );
+    assert.deepEqual(
+      rows.map(({ line, values }) => [line, values.productName]),
+      [
+        [2, "Laptop"],
+        [4, "Desk, standing"],
+        [5, "Chair\r\nwith a note"],
+        [7, "Mouse"],
+      ]
+    );
+  });
+
+  it("quotes cells that need it and defuses formulas", () => {
+    assert.equal(
+      toCsvRow(["a,b", 'say "hi"', "=SUM(A1)", null, 3]),
+      '"a,b","say ""hi""",\'=SUM(A1),,3\r\n'
+    );
+  });
+});
+
+describeWithServer("asset CSV import and export", (ctx) => {
+  let hr;
+
+  const csv = (...lines) =>
+    ["productName,productType,quantity", ...lines].join("\n");
+  const importCsv = (body, query = "") =>
+    hr.post(`/assets/import${query}`, body, { type: "text/csv" });
+
+  before(async () => {
+    ({ hr } = await registerHr(ctx, "hr@acme.test"));
+  });
+
+  it("reports every invalid row by its line and imports nothing", async () => {
+    const res = await importCsv(
+      csv("Laptop,Returnable,2", "", "Desk,Non-returnable,none", "Chair,,1")
+    );
+    assert.equal(res.status, 422);
+    assert.deepEqual(res.body.errors, [
+      { row: 4, message: "Invalid quantity" },
+      { row: 5, message: "Missing required fields" },
+    ]);
+    assert.equal(await ctx.db.collection("assets").countDocuments(), 0);
+  });
+
+  it("checks without writing on a dry run", async () => {
+    const res = await importCsv(csv("Laptop,Returnable,2"), "?dryRun=true");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.validRows, 1);
+    assert.equal(await ctx.db.collection("assets").countDocuments(), 0);
+  });
+
+  it("imports valid files and exports them back", async () => {
+    const res = await importCsv(
+      csv("Laptop,Returnable,2", '"=Monitor, 27""",Returnable,1')
+    );
+    assert.equal(res.status, 200);
+    assert.equal(res.body.imported, 2);
+
+    const exported = await hr.get("/assets/export");
+    assert.equal(exported.status, 200);
+    assert.match(exported.headers.get("content-type"), /^text\/csv/);
+    const rows = parseCsvRows(exported.body);
+    assert.deepEqual(rows.map(({ values }) => values.productName).sort(), [
+      "'=Monitor, 27\"",
+      "Laptop",
+    ]);
+  });
+});
@@ -0,0 +1,216 @@
+// Boots the app for the tests: local identity, fake payments and a MongoDB
+// replica set (transactions need one).
+//
+//   MONGODB_TEST_URI=mongodb://localhost:27017/?replicaSet=rs0 npm test
+//
+// runs against an existing replica set. Without it, mongodb-memory-server
+// starts a throwaway one; it needs a mongod binary, either cached from an
+// earlier download or given by MONGOMS_SYSTEM_BINARY. When neither works
+// (offline, no binary) the suites are skipped with the reason instead of
+// failing. Every server gets its own database either way.
+const crypto = require("crypto");
+const http = require("http");
+const { describe, it, after } = require("node:test");
+const { ObjectId } = require("mongodb");
+const { createApp } = require("../index");
+const {
+  createLocalIdentity,
+  createFakePayments,
+  connectMongo,
+} = require("../providers");
+
+const WEBHOOK_SECRET = "whsec_test";
+
+// -> { uri, stop }; throws when no MongoDB can be had
+const startMongo = async () => {
+  if (process.env.MONGODB_TEST_URI)
+    return { uri: process.env.MONGODB_TEST_URI, stop: async () => {} };
+
+  const { MongoMemoryReplSet } = require("mongodb-memory-server");
+  const replSet = await MongoMemoryReplSet.create({
+    replSet: { count: 1, storageEngine: "wiredTiger" },
+  });
+  return { uri: replSet.getUri(), stop: () => replSet.stop() };
+};
+
+const startServer = async (mongo) => {
+  const database = await connectMongo({
+    uri: mongo.uri,
+    dbName: `assetverse_test_${new ObjectId()}`,
+  });
+
+  // listen first, so the fake payments provider knows where to send webhooks
+  const server = http.createServer();
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const identity = createLocalIdentity({ secret: "test-secret" });
+  const payments = createFakePayments({
+    baseUrl,
+    webhookSecret: WEBHOOK_SECRET,
+  });
+  const app = await createApp({ identity, payments, database });
+  server.on("request", app);
+
+  // as("hr@acme.test").post("/assets", body) -> { status, headers, body }
+  // A string body is sent as-is with { type } as its content type.
+  const as = (email) => {
+    const token = identity.issueToken(email);
+    const call = async (method, path, body, { type } = {}) => {
+      const raw = typeof body === "string";
+      const res = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: {
+          authorization: `Bearer ${token}`,
+          ...(body !== undefined && {
+            "content-type": raw ? type || "text/plain" : "application/json",
+          }),
+        },
+        body: body === undefined || raw ? body : JSON.stringify(body),
+      });
+      const text = await res.text();
+      let data = text;
+      try {
+        data = JSON.parse(text);
+      } catch {
+        // not JSON (CSV exports)
+      }
+      return { status: res.status, headers: res.headers, body: data };
+    };
+
+    return {
+      token,
+      get: (path) => call("GET", path),
+      post: (path, body = {}, options) => call("POST", path, body, options),
+      patch: (path, body = {}) => call("PATCH", path, body),
+      delete: (path) => call("DELETE", path),
+    };
+  };
+
+  const stop = async () => {
+    app.close();
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await database.db.dropDatabase();
+    await database.client.close();
+    await mongo.stop();
+  };
+
+  return { db: database.db, baseUrl, identity, payments, as, stop };
+};
+
+// describe() for a suite that talks to a running server: fn(ctx) registers
+// its tests and hooks, ctx being the started server. If no MongoDB is
+// available and MONGODB_TEST_URI was not set, the suite is skipped with the
+// reason; a MONGODB_TEST_URI that does not work still fails.
+const describeWithServer = (name, fn) =>
+  describe(name, async () => {
+    let mongo;
+    try {
+      mongo = await startMongo();
+    } catch (err) {
+      if (process.env.MONGODB_TEST_URI) throw err;
+      it(
+        "needs a MongoDB replica set",
+        {
+          skip: `no MongoDB (${
+            err.message.split("\n")[0]
+          }); set MONGODB_TEST_URI or MONGOMS_SYSTEM_BINARY`,
+        },
+        () => {}
+      );
+      return;
+    }
+
+    const ctx = await startServer(mongo);
+    after(() => ctx.stop());
+    fn(ctx);
+  });
+
+// Registers an HR with a new company; returns their client and companyId
+const registerHr = async ({ as, db }, email, companyName = "Acme") => {
+  const hr = as(email);
+  const res = await hr.post("/user", { name: "HR", companyName });
+  if (res.status !== 200) throw new Error(`HR registration: ${res.status}`);
+  const { companyId } = await db.collection("users").findOne({ email });
+  return { hr, companyId };
+};
+
+// Registers an employee and, with an hr client, brings them into the team
+// through an accepted invitation
+const addEmployee = async ({ as }, email, hr) => {
+  const employee = as(email);
+  await employee.post("/user/employee", { name: email.split("@")[0] });
+  if (!hr) return { employee };
+
+  const invite = await hr.post("/invitations", { email });
+  const accepted = await employee.post("/invitations/accept", {
+    invitationId: invite.body.invitationId,
+  });
+  return { employee, accepted };
+};
+
+const addAsset = async (hr, body) => {
+  const res = await hr.post("/assets", {
+    productName: "Laptop",
+    productType: "Returnable",
+    quantity: 1,
+    ...body,
+  });
+  if (res.status !== 200) throw new Error(`Add asset: ${res.status}`);
+  return res.body.asset;
+};
+
+// Approves an employee's request for an asset; returns the request id
+const approvedRequest = async (hr, employee, assetId, body = {}) => {
+  const res = await employee.post("/requests", { assetId, ...body });
+  if (res.status !== 200) throw new Error(`Request: ${res.body.message}`);
+  const id = res.body.request._id;
+  const approved = await hr.patch(`/requests/${id}/approve`);
+  if (approved.status !== 200)
+    throw new Error(`Approve: ${approved.body.message}`);
+  return id;
+};
+
+// Registers a user and makes them a platform admin; returns their client
+const addAdmin = async (ctx, email) => {
+  const { employee: admin } = await addEmployee(ctx, email);
+  await ctx.db
+    .collection("users")
+    .updateOne({ email }, { $set: { role: "admin" } });
+  return admin;
+};
+
+// Delivers a Stripe event to /stripe/webhook, signed like Stripe does
+const postWebhook = async ({ baseUrl }, type, object) => {
+  const payload = JSON.stringify({
+    id: `evt_test_${new ObjectId()}`,
+    type,
+    data: { object },
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = crypto
+    .createHmac("sha256", WEBHOOK_SECRET)
+    .update(`${timestamp}.${payload}`)
+    .digest("hex");
+  const res = await fetch(`${baseUrl}/stripe/webhook`, {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      "stripe-signature": `t=${timestamp},v1=${signature}`,
+    },
+    body: payload,
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+module.exports = {
+  WEBHOOK_SECRET,
+  describeWithServer,
+  registerHr,
+  addEmployee,
+  addAdmin,
+  addAsset,
+  approvedRequest,
+  postWebhook,
+};
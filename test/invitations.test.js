@@ -0,0 +1,108 @@
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { describeWithServer, registerHr, addEmployee } = require("./helpers");
+
+describeWithServer("invitations and join requests", (ctx) => {
+  let hr;
+  let companyId;
+
+  const invite = async (email) => {
+    const res = await hr.post("/invitations", { email });
+    assert.equal(res.status, 201);
+    return {
+      invitationId: res.body.invitationId,
+      token: res.body.inviteLink.split("token=")[1],
+    };
+  };
+  const isMember = async (email) =>
+    Boolean(
+      await ctx.db
+        .collection("employeeAffiliations")
+        .findOne({ employeeEmail: email, companyId, status: "active" })
+    );
+
+  before(async () => {
+    ({ hr, companyId } = await registerHr(ctx, "hr@acme.test"));
+  });
+
+  it("joins by the link's token, which the notification does not carry", async () => {
+    const { employee } = await addEmployee(ctx, "ana@acme.test");
+    const { token } = await invite("ana@acme.test");
+
+    const notifications = await employee.get("/notifications");
+    assert.ok(!JSON.stringify(notifications.body).includes(token));
+
+    const res = await employee.post("/invitations/accept", { token });
+    assert.equal(res.status, 200);
+    assert.ok(await isMember("ana@acme.test"));
+  });
+
+  it("binds an invitation to the address it was sent to", async () => {
+    const { token } = await invite("ben@acme.test");
+    const { employee } = await addEmployee(ctx, "mallory@acme.test");
+    const res = await employee.post("/invitations/accept", { token });
+    assert.equal(res.status, 404);
+  });
+
+  it("cannot be used once declined, revoked or expired", async () => {
+    const { employee } = await addEmployee(ctx, "cara@acme.test");
+
+    let { invitationId } = await invite("cara@acme.test");
+    const declined = await employee.post("/invitations/decline", {
+      invitationId,
+    });
+    assert.equal(declined.status, 200);
+    const afterDecline = await employee.post("/invitations/accept", {
+      invitationId,
+    });
+    assert.equal(afterDecline.status, 409);
+
+    ({ invitationId } = await invite("cara@acme.test"));
+    assert.equal((await hr.delete(`/invitations/${invitationId}`)).status, 200);
+    const afterRevoke = await employee.post("/invitations/accept", {
+      invitationId,
+    });
+    assert.equal(afterRevoke.status, 409);
+
+    ({ invitationId } = await invite("cara@acme.test"));
+    await ctx.db
+      .collection("invitations")
+      .updateOne(
+        { _id: new ObjectId(invitationId) },
+        { $set: { expiresAt: new Date(Date.now() - 1000) } }
+      );
+    const afterExpiry = await employee.post("/invitations/accept", {
+      invitationId,
+    });
+    assert.equal(afterExpiry.status, 410);
+    assert.equal(await isMember("cara@acme.test"), false);
+  });
+
+  it("lets an employee ask to join once, and HR accept", async () => {
+    const { employee } = await addEmployee(ctx, "dan@acme.test");
+    const asked = await employee.post("/join-requests", { companyId });
+    assert.equal(asked.status, 201);
+    const again = await employee.post("/join-requests", { companyId });
+    assert.equal(again.status, 409);
+
+    const id = asked.body.joinRequest._id;
+    const accepted = await hr.patch(`/join-requests/${id}/accept`);
+    assert.equal(accepted.status, 200);
+    assert.ok(await isMember("dan@acme.test"));
+    assert.equal((await hr.patch(`/join-requests/${id}/accept`)).status, 404);
+
+    const member = await employee.post("/join-requests", { companyId });
+    assert.equal(member.status, 409);
+  });
+
+  it("lets HR decline a join request", async () => {
+    const { employee } = await addEmployee(ctx, "eve@acme.test");
+    const asked = await employee.post("/join-requests", { companyId });
+    const res = await hr.patch(
+      `/join-requests/${asked.body.joinRequest._id}/decline`
+    );
+    assert.equal(res.status, 200);
+    assert.equal(await isMember("eve@acme.test"), false);
+  });
+});
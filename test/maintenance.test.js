@@ -0,0 +1,207 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  describeWithServer,
+  registerHr,
+  addEmployee,
+  addAsset,
+  approvedRequest,
+} = require("./helpers");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describeWithServer("maintenance and retirement", (ctx) => {
+  let hr;
+
+  const stock = async (assetId) =>
+    ctx.db.collection("assets").findOne({ _id: new ObjectId(assetId) });
+
+  before(async () => {
+    ({ hr } = await registerHr(ctx, "hr@acme.test"));
+  });
+
+  describe("a tracked unit", () => {
+    let asset;
+    let unitId;
+    let recordId;
+
+    before(async () => {
+      asset = await addAsset(hr, { productName: "Laptop", quantity: 2 });
+      const res = await hr.post(`/assets/${asset._id}/units`, {
+        units: [{ serialNumber: "SN-1" }, { serialNumber: "SN-2" }],
+      });
+      assert.equal(res.status, 201);
+      unitId = res.body.units[0]._id;
+    });
+
+    it("leaves stock while it is out for maintenance", async () => {
+      const res = await hr.post(`/assets/${asset._id}/maintenance`, {
+        unitId,
+        vendor: "FixIt",
+      });
+      assert.equal(res.status, 201);
+      recordId = res.body.record._id;
+      assert.equal((await stock(asset._id)).availableQuantity, 1);
+    });
+
+    it("cannot be sent again, moved by hand or retired meanwhile", async () => {
+      const again = await hr.post(`/assets/${asset._id}/maintenance`, {
+        unitId,
+        vendor: "FixIt",
+      });
+      assert.equal(again.status, 409);
+
+      const moved = await hr.patch(`/asset-units/${unitId}`, {
+        status: "available",
+      });
+      assert.equal(moved.status, 409);
+
+      const retired = await hr.post(`/assets/${asset._id}/retire`, {
+        unitId,
+        reason: "Broken",
+      });
+      assert.equal(retired.status, 409);
+
+      assert.equal((await stock(asset._id)).availableQuantity, 1);
+    });
+
+    it("comes back into stock once when the record is completed", async () => {
+      const res = await hr.patch(`/maintenance/${recordId}/complete`, {
+        outcome: "repaired",
+      });
+      assert.equal(res.status, 200);
+
+      const again = await hr.patch(`/maintenance/${recordId}/complete`, {
+        outcome: "repaired",
+      });
+      assert.equal(again.status, 404);
+
+      assert.equal((await stock(asset._id)).availableQuantity, 2);
+      const unit = await ctx.db
+        .collection("assetUnits")
+        .findOne({ _id: new ObjectId(unitId) });
+      assert.equal(unit.status, "available");
+      assert.equal(unit.maintenanceId, undefined);
+    });
+
+    it("is retired by hand only with a reason, and counted", async () => {
+      const noReason = await hr.patch(`/asset-units/${unitId}`, {
+        status: "retired",
+      });
+      assert.equal(noReason.status, 400);
+
+      const res = await hr.patch(`/asset-units/${unitId}`, {
+        status: "retired",
+        reason: "End of life",
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.unit.status, "retired");
+
+      const after = await stock(asset._id);
+      assert.equal(after.quantity, 1);
+      assert.equal(after.availableQuantity, 1);
+      assert.equal(after.retiredQuantity, 1);
+      assert.equal(
+        await ctx.db.collection("maintenance").countDocuments({
+          unitId: new ObjectId(unitId),
+          type: "retirement",
+        }),
+        1
+      );
+    });
+  });
+
+  describe("untracked stock", () => {
+    it("goes out and comes back by quantity", async () => {
+      const asset = await addAsset(hr, { productName: "Chair", quantity: 5 });
+      const res = await hr.post(`/assets/${asset._id}/maintenance`, {
+        quantity: 3,
+        vendor: "Upholstery Co",
+      });
+      assert.equal(res.status, 201);
+
+      const tooMany = await hr.post(`/assets/${asset._id}/maintenance`, {
+        quantity: 3,
+        vendor: "Upholstery Co",
+      });
+      assert.equal(tooMany.status, 409);
+
+      let current = await stock(asset._id);
+      assert.equal(current.availableQuantity, 2);
+      assert.equal(current.maintenanceQuantity, 3);
+
+      const done = await hr.patch(
+        `/maintenance/${res.body.record._id}/complete`,
+        { outcome: "disposed", reason: "Beyond repair" }
+      );
+      assert.equal(done.status, 200);
+
+      current = await stock(asset._id);
+      assert.equal(current.quantity, 2);
+      assert.equal(current.availableQuantity, 2);
+      assert.equal(current.maintenanceQuantity, 0);
+      assert.equal(current.disposedQuantity, 3);
+    });
+  });
+
+  describe("bookable stock", () => {
+    let asset;
+
+    // both projectors are booked out in a week's time
+    before(async () => {
+      asset = await addAsset(hr, {
+        productName: "Projector",
+        quantity: 2,
+        bookable: true,
+      });
+      const { employee } = await addEmployee(ctx, "ana@acme.test", hr);
+      const booking = {
+        startDate: new Date(Date.now() + 7 * DAY_MS).toISOString(),
+        endDate: new Date(Date.now() + 9 * DAY_MS).toISOString(),
+      };
+      await approvedRequest(hr, employee, asset._id, booking);
+      await approvedRequest(hr, employee, asset._id, booking);
+    });
+
+    it("goes to maintenance if it is back before it is booked", async () => {
+      const res = await hr.post(`/assets/${asset._id}/maintenance`, {
+        quantity: 1,
+        vendor: "AV Repair",
+        expectedReturnDate: new Date(Date.now() + 3 * DAY_MS).toISOString(),
+      });
+      assert.equal(res.status, 201);
+
+      const done = await hr.patch(
+        `/maintenance/${res.body.record._id}/complete`,
+        { outcome: "repaired" }
+      );
+      assert.equal(done.status, 200);
+    });
+
+    it("is not taken out when that would overbook it", async () => {
+      const openEnded = await hr.post(`/assets/${asset._id}/maintenance`, {
+        quantity: 1,
+        vendor: "AV Repair",
+      });
+      assert.equal(openEnded.status, 409);
+
+      const overlapping = await hr.post(`/assets/${asset._id}/maintenance`, {
+        quantity: 1,
+        vendor: "AV Repair",
+        expectedReturnDate: new Date(Date.now() + 8 * DAY_MS).toISOString(),
+      });
+      assert.equal(overlapping.status, 409);
+
+      const retired = await hr.post(`/assets/${asset._id}/retire`, {
+        quantity: 1,
+        reason: "Lamp gone",
+      });
+      assert.equal(retired.status, 409);
+
+      const current = await stock(asset._id);
+      assert.equal(current.quantity, 2);
+      assert.equal(current.maintenanceQuantity, 0);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  describeWithServer,
+  registerHr,
+  addEmployee,
+  addAsset,
+  approvedRequest,
+} = require("./helpers");
+
+describeWithServer("notifications", (ctx) => {
+  let hr;
+  let employee;
+
+  // Opens the stream with a query token only, as EventSource does; read()
+  // resolves with the text received up to and including `event: <name>`
+  const openStream = async (token) => {
+    const controller = new AbortController();
+    const res = await fetch(
+      `${ctx.baseUrl}/notifications/stream?token=${token}`,
+      { signal: controller.signal }
+    );
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let received = "";
+    const read = async (name) => {
+      while (!received.includes(`event: ${name}`)) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        received += decoder.decode(value);
+      }
+      return received;
+    };
+    return { res, read, close: () => controller.abort() };
+  };
+
+  before(async () => {
+    ({ hr } = await registerHr(ctx, "hr@acme.test"));
+    ({ employee } = await addEmployee(ctx, "ana@acme.test", hr));
+  });
+
+  it("lists unread notifications and marks them read", async () => {
+    const list = await hr.get("/notifications?unread=true");
+    assert.equal(list.status, 200);
+    assert.ok(list.body.unreadCount > 0);
+    assert.equal(list.body.notifications.length, list.body.total);
+
+    const read = await hr.patch("/notifications/read-all");
+    assert.equal(read.status, 200);
+    assert.equal((await hr.get("/notifications")).body.unreadCount, 0);
+  });
+
+  it("streams new notifications with a single-use token", async () => {
+    const issued = await employee.post("/notifications/stream-token");
+    assert.equal(issued.status, 201);
+
+    const stream = await openStream(issued.body.token);
+    try {
+      assert.equal(stream.res.status, 200);
+      assert.match(await stream.read("ready"), /"unreadCount":\d+/);
+
+      const asset = await addAsset(hr, { productName: "Monitor" });
+      await approvedRequest(hr, employee, asset._id);
+      assert.match(await stream.read("notification"), /Monitor/);
+    } finally {
+      stream.close();
+    }
+
+    const reused = await openStream(issued.body.token);
+    assert.equal(reused.res.status, 401);
+  });
+
+  it("does not take the bearer token in the query", async () => {
+    const res = await fetch(
+      `${ctx.baseUrl}/notifications/stream?token=${employee.token}`
+    );
+    assert.equal(res.status, 401);
+  });
+});
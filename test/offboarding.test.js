@@ -0,0 +1,135 @@
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  describeWithServer,
+  registerHr,
+  addEmployee,
+  addAsset,
+} = require("./helpers");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describeWithServer("offboarding", (ctx) => {
+  let hr;
+  let companyId;
+  const email = "ana@acme.test";
+  const ids = {};
+
+  // Ana holds a laptop, has handed a headset back, has a booking for next
+  // week and a request still waiting
+  before(async () => {
+    ({ hr, companyId } = await registerHr(ctx, "hr@acme.test"));
+    const { employee } = await addEmployee(ctx, email, hr);
+
+    const approved = async (asset, body = {}) => {
+      const res = await employee.post("/requests", {
+        assetId: asset._id,
+        ...body,
+      });
+      const id = res.body.request._id;
+      assert.equal((await hr.patch(`/requests/${id}/approve`)).status, 200);
+      return id;
+    };
+
+    ids.laptop = (await addAsset(hr, { productName: "Laptop" }))._id;
+    await approved({ _id: ids.laptop });
+
+    ids.headset = (await addAsset(hr, { productName: "Headset" }))._id;
+    await approved({ _id: ids.headset });
+    const headset = await ctx.db
+      .collection("assignedAssets")
+      .findOne({ assetId: new ObjectId(ids.headset) });
+    ids.headsetAssignment = headset._id;
+    const returned = await employee.patch(
+      `/assigned-assets/${headset._id}/return`
+    );
+    assert.equal(returned.status, 200);
+
+    ids.projector = (
+      await addAsset(hr, { productName: "Projector", bookable: true })
+    )._id;
+    ids.bookingRequest = await approved(
+      { _id: ids.projector },
+      {
+        startDate: new Date(Date.now() + 7 * DAY_MS).toISOString(),
+        endDate: new Date(Date.now() + 9 * DAY_MS).toISOString(),
+      }
+    );
+
+    const mouse = await addAsset(hr, { productName: "Mouse" });
+    const pending = await employee.post("/requests", { assetId: mouse._id });
+    ids.pendingRequest = pending.body.request._id;
+  });
+
+  it("lists what is still out before removal", async () => {
+    const res = await hr.get(`/employees/${email}/offboarding`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.returnable.map((item) => item.assetName),
+      ["Laptop"]
+    );
+    assert.deepEqual(
+      res.body.awaitingReturn.map((item) => item.assetName),
+      ["Headset"]
+    );
+    assert.equal(res.body.upcomingBookings.length, 1);
+    assert.equal(res.body.pendingRequests.length, 1);
+    assert.equal(res.body.readyToRemove, false);
+  });
+
+  it("blocks the removal while returnable items are out", async () => {
+    const res = await hr.patch(`/employees/${email}/remove`);
+    assert.equal(res.status, 409);
+    assert.equal(res.body.returnable.length, 1);
+
+    const affiliation = await ctx.db
+      .collection("employeeAffiliations")
+      .findOne({ employeeEmail: email, companyId });
+    assert.equal(affiliation.status, "active");
+  });
+
+  it("writes off held items and cancels the rest when forced", async () => {
+    const res = await hr.patch(`/employees/${email}/remove`, { force: true });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.summary.unrecovered.length, 1);
+    assert.equal(res.body.summary.awaitingReturn.length, 1);
+    assert.equal(res.body.summary.cancelledBookings, 1);
+    assert.equal(res.body.summary.cancelledRequests, 2);
+
+    const assets = ctx.db.collection("assets");
+    const laptop = await assets.findOne({ _id: new ObjectId(ids.laptop) });
+    assert.equal(laptop.quantity, 0);
+    assert.equal(laptop.unrecoveredQuantity, 1);
+
+    // the headset was handed back: it waits for the HR, not written off
+    const headset = await ctx.db
+      .collection("assignedAssets")
+      .findOne({ _id: ids.headsetAssignment });
+    assert.equal(headset.status, "return_requested");
+
+    const requests = ctx.db.collection("requests");
+    for (const id of [ids.bookingRequest, ids.pendingRequest]) {
+      const request = await requests.findOne({ _id: new ObjectId(id) });
+      assert.equal(request.requestStatus, "cancelled");
+    }
+
+    const company = await ctx.db
+      .collection("companies")
+      .findOne({ _id: companyId });
+    assert.equal(company.currentEmployees, 0);
+  });
+
+  it("can still confirm the handed-back item afterwards", async () => {
+    const res = await hr.patch(
+      `/assigned-assets/${ids.headsetAssignment}/confirm-return`,
+      { condition: "good" }
+    );
+    assert.equal(res.status, 200);
+
+    const headset = await ctx.db
+      .collection("assets")
+      .findOne({ _id: new ObjectId(ids.headset) });
+    assert.equal(headset.availableQuantity, 1);
+  });
+});
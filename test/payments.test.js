@@ -0,0 +1,97 @@
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  describeWithServer,
+  registerHr,
+  addAdmin,
+  postWebhook,
+} = require("./helpers");
+
+describeWithServer("one-off package payments", (ctx) => {
+  let hr;
+  let companyId;
+  let pkg;
+
+  // A paid one-off checkout, as sold before subscriptions
+  const paidSession = (amountTotal) => ({
+    id: `cs_test_${new ObjectId()}`,
+    object: "checkout.session",
+    mode: "payment",
+    payment_status: "paid",
+    payment_intent: `pi_test_${new ObjectId()}`,
+    amount_total: amountTotal,
+    metadata: {
+      packageId: pkg._id,
+      companyId: companyId.toString(),
+      hrEmail: "hr@acme.test",
+    },
+  });
+  const company = () =>
+    ctx.db.collection("companies").findOne({ _id: companyId });
+
+  before(async () => {
+    ({ hr, companyId } = await registerHr(ctx, "hr@acme.test"));
+    const admin = await addAdmin(ctx, "admin@assetverse.test");
+    const res = await admin.post("/admin/packages", {
+      name: "Standard",
+      price: 10,
+      employeeLimit: 10,
+    });
+    assert.equal(res.status, 200);
+    pkg = res.body.package;
+  });
+
+  it("turns away unsigned webhooks", async () => {
+    const res = await fetch(`${ctx.baseUrl}/stripe/webhook`, {
+      method: "POST",
+      headers: { "content-type": "application/json", "stripe-signature": "" },
+      body: JSON.stringify({ type: "checkout.session.completed" }),
+    });
+    assert.equal(res.status, 400);
+  });
+
+  it("upgrades the company once per payment", async () => {
+    const session = paidSession(1000);
+    for (let i = 0; i < 2; i += 1) {
+      const res = await postWebhook(ctx, "checkout.session.completed", session);
+      assert.equal(res.status, 200);
+    }
+
+    assert.equal((await company()).packageLimit, 10);
+    const payments = await ctx.db
+      .collection("payments")
+      .find({ sessionId: session.id })
+      .toArray();
+    assert.equal(payments.length, 1);
+    assert.equal(payments[0].status, "completed");
+    assert.equal(payments[0].amount, 10);
+  });
+
+  it("records a payment that no longer matches the package for review", async () => {
+    await ctx.db
+      .collection("companies")
+      .updateOne({ _id: companyId }, { $set: { packageLimit: 5 } });
+    const session = paidSession(700);
+    await postWebhook(ctx, "checkout.session.completed", session);
+    await postWebhook(ctx, "checkout.session.completed", session);
+
+    assert.equal((await company()).packageLimit, 5);
+    const payments = await ctx.db
+      .collection("payments")
+      .find({ sessionId: session.id })
+      .toArray();
+    assert.equal(payments.length, 1);
+    assert.equal(payments[0].status, "amount_mismatch");
+    assert.equal(payments[0].amount, 7);
+    assert.equal(payments[0].expectedAmount, 10);
+
+    const notifications = await hr.get("/notifications");
+    assert.equal(
+      notifications.body.notifications.filter(
+        ({ type }) => type === "payment.review"
+      ).length,
+      1
+    );
+  });
+});
@@ -0,0 +1,80 @@
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  describeWithServer,
+  registerHr,
+  addEmployee,
+  addAsset,
+} = require("./helpers");
+
+describeWithServer("counter reconciliation", (ctx) => {
+  let admin;
+  let companyId;
+  let assetId;
+
+  before(async () => {
+    let hr;
+    ({ hr, companyId } = await registerHr(ctx, "hr@acme.test"));
+    const { employee } = await addEmployee(ctx, "ana@acme.test", hr);
+
+    // one of three laptops is out with Ana
+    const asset = await addAsset(hr, { quantity: 3 });
+    assetId = new ObjectId(asset._id);
+    const request = await employee.post("/requests", { assetId });
+    await hr.patch(`/requests/${request.body.request._id}/approve`);
+
+    admin = (await addEmployee(ctx, "admin@assetverse.test")).employee;
+    await ctx.db
+      .collection("users")
+      .updateOne(
+        { email: "admin@assetverse.test" },
+        { $set: { role: "admin" } }
+      );
+  });
+
+  it("finds nothing to fix when the counters are right", async () => {
+    const res = await admin.post("/admin/reconcile", { companyId });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.discrepancies, []);
+  });
+
+  it("reports drifted counters and only fixes them with apply", async () => {
+    await ctx.db
+      .collection("companies")
+      .updateOne({ _id: companyId }, { $set: { currentEmployees: 7 } });
+    await ctx.db
+      .collection("assets")
+      .updateOne({ _id: assetId }, { $set: { availableQuantity: 0 } });
+
+    const dryRun = await admin.post("/admin/reconcile", { companyId });
+    assert.deepEqual(
+      dryRun.body.discrepancies
+        .map(({ field, stored, expected }) => [field, stored, expected])
+        .sort(),
+      [
+        ["availableQuantity", 0, 2],
+        ["currentEmployees", 7, 1],
+      ]
+    );
+    const company = await ctx.db
+      .collection("companies")
+      .findOne({ _id: companyId });
+    assert.equal(company.currentEmployees, 7);
+
+    const applied = await admin.post("/admin/reconcile", {
+      companyId,
+      apply: true,
+    });
+    assert.equal(applied.body.applied, 2);
+
+    const again = await admin.post("/admin/reconcile", { companyId });
+    assert.deepEqual(again.body.discrepancies, []);
+  });
+
+  it("is admin only", async () => {
+    const hr = ctx.as("hr@acme.test");
+    const res = await hr.post("/admin/reconcile", {});
+    assert.equal(res.status, 403);
+  });
+});
@@ -0,0 +1,107 @@
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  describeWithServer,
+  registerHr,
+  addEmployee,
+  addAsset,
+} = require("./helpers");
+
+describeWithServer("request approval", (ctx) => {
+  let hr;
+
+  before(async () => {
+    ({ hr } = await registerHr(ctx, "hr@acme.test"));
+  });
+
+  it("approves a request once when two approvals race", async () => {
+    const asset = await addAsset(hr, { quantity: 5 });
+    const { employee } = await addEmployee(ctx, "ana@acme.test", hr);
+    const request = await employee.post("/requests", { assetId: asset._id });
+    assert.equal(request.status, 200);
+
+    const id = request.body.request._id;
+    const results = await Promise.all([
+      hr.patch(`/requests/${id}/approve`),
+      hr.patch(`/requests/${id}/approve`),
+    ]);
+    assert.deepEqual(results.map((res) => res.status).sort(), [200, 409]);
+
+    const rejected = await hr.patch(`/requests/${id}/reject`);
+    assert.equal(rejected.status, 409);
+
+    const stored = await ctx.db
+      .collection("assets")
+      .findOne({ _id: new ObjectId(asset._id) });
+    assert.equal(stored.availableQuantity, 4);
+    assert.equal(
+      await ctx.db
+        .collection("assignedAssets")
+        .countDocuments({ requestId: new ObjectId(id) }),
+      1
+    );
+  });
+
+  it("never hands out more units than are in stock", async () => {
+    const asset = await addAsset(hr, { productName: "Monitor", quantity: 1 });
+    const ids = [];
+    for (const email of ["ben@acme.test", "cara@acme.test"]) {
+      const { employee } = await addEmployee(ctx, email, hr);
+      const res = await employee.post("/requests", { assetId: asset._id });
+      ids.push(res.body.request._id);
+    }
+
+    const results = await Promise.all(
+      ids.map((id) => hr.patch(`/requests/${id}/approve`))
+    );
+    assert.deepEqual(results.map((res) => res.status).sort(), [200, 409]);
+
+    const stored = await ctx.db
+      .collection("assets")
+      .findOne({ _id: new ObjectId(asset._id) });
+    assert.equal(stored.availableQuantity, 0);
+  });
+
+  it("blocks approvals while the company is over its seats", async () => {
+    const companies = ctx.db.collection("companies");
+    const { companyId } = await ctx.db
+      .collection("users")
+      .findOne({ email: "hr@acme.test" });
+    const asset = await addAsset(hr, { productName: "Desk", quantity: 5 });
+    const employee = ctx.as("ana@acme.test");
+    const request = await employee.post("/requests", { assetId: asset._id });
+    const id = request.body.request._id;
+
+    // ana, ben and cara are in; the plan is downgraded to two seats
+    await companies.updateOne(
+      { _id: companyId },
+      { $set: { subscription: { status: "active", employeeLimit: 2 } } }
+    );
+    const blocked = await hr.patch(`/requests/${id}/approve`);
+    assert.equal(blocked.status, 403);
+    const stored = await ctx.db
+      .collection("requests")
+      .findOne({ _id: new ObjectId(id) });
+    assert.equal(stored.requestStatus, "pending");
+
+    // at the limit is fine
+    await companies.updateOne(
+      { _id: companyId },
+      { $set: { "subscription.employeeLimit": 3 } }
+    );
+    const approved = await hr.patch(`/requests/${id}/approve`);
+    assert.equal(approved.status, 200);
+    await companies.updateOne(
+      { _id: companyId },
+      { $unset: { subscription: "" } }
+    );
+  });
+
+  it("refuses requests from outside the company", async () => {
+    const asset = await addAsset(hr, { productName: "Phone" });
+    const { employee } = await addEmployee(ctx, "outsider@other.test");
+    const res = await employee.post("/requests", { assetId: asset._id });
+    assert.equal(res.status, 403);
+  });
+});
@@ -0,0 +1,80 @@
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  describeWithServer,
+  registerHr,
+  addEmployee,
+  addAsset,
+  approvedRequest,
+} = require("./helpers");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describeWithServer("returns", (ctx) => {
+  let hr;
+  let employee;
+
+  const assignmentFor = (requestId) =>
+    ctx.db
+      .collection("assignedAssets")
+      .findOne({ requestId: new ObjectId(requestId) });
+  const stock = (assetId) =>
+    ctx.db.collection("assets").findOne({ _id: new ObjectId(assetId) });
+
+  before(async () => {
+    ({ hr } = await registerHr(ctx, "hr@acme.test"));
+    ({ employee } = await addEmployee(ctx, "ana@acme.test", hr));
+  });
+
+  it("is confirmed only after the employee hands the item back", async () => {
+    const asset = await addAsset(hr, { productName: "Laptop" });
+    const assignment = await assignmentFor(
+      await approvedRequest(hr, employee, asset._id)
+    );
+    const confirm = () =>
+      hr.patch(`/assigned-assets/${assignment._id}/confirm-return`, {
+        condition: "good",
+      });
+
+    assert.equal((await confirm()).status, 409);
+    assert.equal((await stock(asset._id)).availableQuantity, 0);
+
+    const handedBack = await employee.patch(
+      `/assigned-assets/${assignment._id}/return`
+    );
+    assert.equal(handedBack.status, 200);
+    assert.equal((await confirm()).status, 200);
+    assert.equal((await stock(asset._id)).availableQuantity, 1);
+    assert.equal((await confirm()).status, 409);
+  });
+
+  it("lets HR close an overdue booking they recovered", async () => {
+    const asset = await addAsset(hr, {
+      productName: "Projector",
+      bookable: true,
+    });
+    const assignment = await assignmentFor(
+      await approvedRequest(hr, employee, asset._id, {
+        startDate: new Date(Date.now() + DAY_MS).toISOString(),
+        endDate: new Date(Date.now() + 2 * DAY_MS).toISOString(),
+      })
+    );
+    await ctx.db
+      .collection("assignedAssets")
+      .updateOne(
+        { _id: assignment._id },
+        { $set: { status: "overdue", overdueSince: new Date() } }
+      );
+
+    const res = await hr.patch(
+      `/assigned-assets/${assignment._id}/confirm-return`,
+      { condition: "good" }
+    );
+    assert.equal(res.status, 200);
+    assert.equal(
+      (await assignmentFor(assignment.requestId)).status,
+      "returned"
+    );
+  });
+});
@@ -0,0 +1,93 @@
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { describeWithServer, registerHr, addEmployee } = require("./helpers");
+
+describeWithServer("seat limits", (ctx) => {
+  let hr;
+  let companyId;
+
+  before(async () => {
+    ({ hr, companyId } = await registerHr(ctx, "hr@acme.test"));
+    await ctx.db
+      .collection("companies")
+      .updateOne({ _id: companyId }, { $set: { packageLimit: 2 } });
+  });
+
+  it("lets only as many employees join as the package allows", async () => {
+    const { accepted } = await addEmployee(ctx, "ana@acme.test", hr);
+    assert.equal(accepted.status, 200);
+
+    // two invitees race for the last seat
+    const invitees = ["ben@acme.test", "cara@acme.test"];
+    const employees = [];
+    for (const email of invitees) {
+      const { employee } = await addEmployee(ctx, email);
+      const invite = await hr.post("/invitations", { email });
+      employees.push({ employee, invitationId: invite.body.invitationId });
+    }
+    const results = await Promise.all(
+      employees.map(({ employee, invitationId }) =>
+        employee.post("/invitations/accept", { invitationId })
+      )
+    );
+    assert.deepEqual(results.map((res) => res.status).sort(), [200, 403]);
+
+    const company = await ctx.db
+      .collection("companies")
+      .findOne({ _id: companyId });
+    assert.equal(company.currentEmployees, 2);
+    assert.equal(
+      await ctx.db
+        .collection("employeeAffiliations")
+        .countDocuments({ companyId, status: "active" }),
+      2
+    );
+  });
+
+  it("frees a seat when an employee is removed", async () => {
+    const removed = await hr.patch("/employees/ana@acme.test/remove");
+    assert.equal(removed.status, 200);
+
+    const { accepted } = await addEmployee(ctx, "dan@acme.test", hr);
+    assert.equal(accepted.status, 200);
+  });
+
+  it("does not accept the same invitation twice", async () => {
+    const { employee } = await addEmployee(ctx, "eve@acme.test");
+    await ctx.db
+      .collection("companies")
+      .updateOne({ _id: companyId }, { $set: { packageLimit: 10 } });
+    const invite = await hr.post("/invitations", { email: "eve@acme.test" });
+
+    const body = { invitationId: invite.body.invitationId };
+    const results = await Promise.all([
+      employee.post("/invitations/accept", body),
+      employee.post("/invitations/accept", body),
+    ]);
+    assert.deepEqual(results.map((res) => res.status).sort(), [200, 409]);
+  });
+
+  it("keeps migrated companies without a package unlimited", async () => {
+    await ctx.db.collection("companies").updateOne(
+      { _id: companyId },
+      {
+        $set: { packageLimit: 0, unlimitedSeats: true, currentEmployees: 40 },
+      }
+    );
+    const { accepted } = await addEmployee(ctx, "gus@acme.test", hr);
+    assert.equal(accepted.status, 200);
+
+    const res = await hr.get("/subscription");
+    assert.equal(res.body.seatLimit, null);
+    assert.equal(res.body.overLimit, false);
+  });
+
+  it("only lets the invitee use an invitation id", async () => {
+    const invite = await hr.post("/invitations", { email: "fay@acme.test" });
+    const { employee } = await addEmployee(ctx, "mallory@acme.test");
+    const res = await employee.post("/invitations/accept", {
+      invitationId: invite.body.invitationId,
+    });
+    assert.equal(res.status, 404);
+  });
+});
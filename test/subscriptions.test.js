@@ -0,0 +1,81 @@
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  describeWithServer,
+  registerHr,
+  addEmployee,
+  addAdmin,
+} = require("./helpers");
+
+describeWithServer("subscriptions", (ctx) => {
+  let hr;
+  let companyId;
+  let subscriptionId;
+
+  // the fake provider's test hooks, mounted under /dev/payments
+  const fakeStripe = (path) =>
+    fetch(`${ctx.baseUrl}/dev/payments${path}`, {
+      method: "POST",
+      redirect: "manual",
+    });
+
+  before(async () => {
+    ({ hr, companyId } = await registerHr(ctx, "hr@acme.test"));
+    const admin = await addAdmin(ctx, "admin@assetverse.test");
+    const res = await admin.post("/admin/packages", {
+      name: "Team",
+      price: 20,
+      employeeLimit: 10,
+    });
+    assert.equal(res.status, 200);
+
+    const checkout = await hr.post("/create-checkout-session", {
+      packageId: res.body.package._id,
+    });
+    assert.equal(checkout.status, 200);
+    // paying on the hosted page delivers the webhooks, then redirects
+    const paid = await fetch(checkout.body.url, { redirect: "manual" });
+    assert.equal(paid.status, 302);
+
+    const company = await ctx.db
+      .collection("companies")
+      .findOne({ _id: companyId });
+    subscriptionId = company.subscription.stripeSubscriptionId;
+  });
+
+  it("gives the company the package's seats once paid", async () => {
+    const res = await hr.get("/subscription");
+    assert.equal(res.body.plan, "Team");
+    assert.equal(res.body.status, "active");
+    assert.equal(res.body.seatLimit, 10);
+
+    const again = await hr.post("/create-checkout-session", {
+      packageId: res.body.packageId,
+    });
+    assert.equal(again.status, 409);
+  });
+
+  it("keeps the seats through a grace period when a renewal fails", async () => {
+    await fakeStripe(`/subscriptions/${subscriptionId}/renew?fail=true`);
+
+    const res = await hr.get("/subscription");
+    assert.equal(res.body.status, "past_due");
+    assert.equal(res.body.seatLimit, 10);
+    assert.ok(new Date(res.body.graceUntil) > new Date());
+  });
+
+  it("drops to the default seats once it ends", async () => {
+    await fakeStripe(`/subscriptions/${subscriptionId}/end`);
+    await ctx.db
+      .collection("companies")
+      .updateOne({ _id: companyId }, { $set: { currentEmployees: 6 } });
+
+    const res = await hr.get("/subscription");
+    assert.equal(res.body.status, "canceled");
+    assert.equal(res.body.seatLimit, 5);
+    assert.equal(res.body.overLimit, true);
+
+    const { accepted } = await addEmployee(ctx, "ana@acme.test", hr);
+    assert.equal(accepted.status, 403);
+  });
+});
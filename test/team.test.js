@@ -0,0 +1,61 @@
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { describeWithServer, registerHr, addEmployee } = require("./helpers");
+
+describeWithServer("team directory", (ctx) => {
+  let companyId;
+  let ben;
+
+  // Ana's birthday is today, Ben has not given his
+  before(async () => {
+    let hr;
+    ({ hr, companyId } = await registerHr(ctx, "hr@acme.test"));
+    await addEmployee(ctx, "ana@acme.test", hr);
+    ({ employee: ben } = await addEmployee(ctx, "ben@acme.test", hr));
+
+    const today = new Date();
+    await ctx.db.collection("users").updateOne(
+      { email: "ana@acme.test" },
+      {
+        $set: {
+          dateOfBirth: new Date(
+            Date.UTC(1990, today.getUTCMonth(), today.getUTCDate())
+          ),
+        },
+      }
+    );
+  });
+
+  it("lists coworkers without their email or birth date", async () => {
+    const res = await ben.get(`/employee/companies/${companyId}/team`);
+    assert.equal(res.status, 200);
+
+    assert.deepEqual(res.body.members.map((member) => member.name).sort(), [
+      "ana",
+      "ben",
+    ]);
+    res.body.members.forEach((member) => {
+      assert.equal(member.email, undefined);
+      assert.equal(member.dateOfBirth, undefined);
+      assert.equal(member.birthMonth, undefined);
+    });
+
+    const today = new Date();
+    assert.deepEqual(res.body.upcomingBirthdays, [
+      {
+        name: "ana",
+        profileImage: null,
+        month: today.getUTCMonth() + 1,
+        day: today.getUTCDate(),
+        isToday: true,
+      },
+    ]);
+    assert.equal(res.body.hrContacts[0].email, "hr@acme.test");
+  });
+
+  it("is only shown to members", async () => {
+    const { employee } = await addEmployee(ctx, "outsider@other.test");
+    const res = await employee.get(`/employee/companies/${companyId}/team`);
+    assert.equal(res.status, 403);
+  });
+});
@@ -0,0 +1,94 @@
+// Minimal RFC 4180 CSV helpers for the import/export routes
+
+// Parses CSV text into [{ line, values }], values keyed by the header row.
+// line is where the record starts in the file (the header is line 1), so
+// blank lines and quoted fields spanning lines still point at the right spot.
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const input = String(text).replace(/^\uFEFF/, "");
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (char === "\n" || (char === "\r" && input[i + 1] !== "\n")) line++;
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") {
+        i++;
+        line++;
+      }
+      row.push(field);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      field = "";
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push({ line: rowLine, cells: row });
+  }
+
+  const [header = { cells: [] }, ...body] = rows.filter((r) =>
+    r.cells.some((value) => value.trim() !== "")
+  );
+  const keys = header.cells.map((key) => key.trim());
+
+  return body.map(({ line, cells }) => ({
+    line,
+    values: Object.fromEntries(
+      keys.map((key, i) => [key, (cells[i] ?? "").trim()])
+    ),
+  }));
+};
+
+// Parses CSV text into an array of objects keyed by the header row
+const parseCsv = (text) => parseCsvRows(text).map((row) => row.values);
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // stop spreadsheets from evaluating exported cells as formulas
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => `${values.map(escapeCell).join(",")}\r\n`;
+
+// Streams a cursor to the response as a CSV download.
+// columns: [{ header: "Name", value: (doc) => doc.name }]
+const streamCsv = async (res, filename, columns, cursor) => {
+  res.set({
+    "Content-Type": "text/csv; charset=utf-8",
+    "Content-Disposition": `attachment; filename="${filename}"`,
+  });
+  res.write(toCsvRow(columns.map((column) => column.header)));
+
+  for await (const doc of cursor) {
+    const ok = res.write(toCsvRow(columns.map((column) => column.value(doc))));
+    if (!ok) await new Promise((resolve) => res.once("drain", resolve));
+  }
+  res.end();
+};
+
+module.exports = { parseCsv, parseCsvRows, toCsvRow, streamCsv };
@@ -0,0 +1,161 @@
+// Recomputes the denormalised counters from the documents they summarise:
+//   companies.currentEmployees  <- active employeeAffiliations
+//   assets.availableQuantity    <- quantity minus units out, in repair or
+//                                  in maintenance
+// Used by POST /admin/reconcile and scripts/reconcile-counters.js.
+
+// Assignments whose unit has not come back yet
+const ACTIVE_ASSIGNMENT_STATUSES = ["assigned", "return_requested", "overdue"];
+
+// [{ _id, count }] -> Map keyed by the stringified _id
+const countsById = (rows) =>
+  new Map(rows.map((row) => [String(row._id), row.count]));
+
+const countBy = (collection, match, field, amount = 1) =>
+  collection
+    .aggregate([
+      { $match: match },
+      { $group: { _id: field, count: { $sum: amount } } },
+    ])
+    .toArray()
+    .then(countsById);
+
+// Returns a report of every counter that differs from its source documents.
+// With apply, each one is corrected, but only if it still holds the value
+// that was read, so a concurrent approval or return is never overwritten
+// (such counters are reported as skipped; run again to pick them up).
+const reconcileCounters = async (
+  db,
+  { apply = false, companyId = null, actor = "system" } = {}
+) => {
+  const companies = db.collection("companies");
+  const assets = db.collection("assets");
+  const scope = companyId ? { companyId } : {};
+
+  const [members, out, inRepair, inMaintenance] = await Promise.all([
+    countBy(
+      db.collection("employeeAffiliations"),
+      { ...scope, status: "active" },
+      "$companyId"
+    ),
+    countBy(
+      db.collection("assignedAssets"),
+      { ...scope, status: { $in: ACTIVE_ASSIGNMENT_STATUSES } },
+      "$assetId"
+    ),
+    countBy(
+      db.collection("assetUnits"),
+      { ...scope, status: "in_repair" },
+      "$assetId"
+    ),
+    // tracked units in maintenance are already counted as in_repair
+    countBy(
+      db.collection("maintenance"),
+      { ...scope, status: "open", unitId: { $exists: false } },
+      "$assetId",
+      "$quantity"
+    ),
+  ]);
+
+  const discrepancies = [];
+  let companiesChecked = 0;
+  let assetsChecked = 0;
+
+  const companyCursor = companies
+    .find(companyId ? { _id: companyId } : {})
+    .project({ name: 1, currentEmployees: 1 });
+  for await (const company of companyCursor) {
+    companiesChecked++;
+    const stored = company.currentEmployees ?? 0;
+    const expected = members.get(String(company._id)) || 0;
+    if (stored !== expected) {
+      discrepancies.push({
+        collection: "companies",
+        field: "currentEmployees",
+        _id: company._id,
+        companyId: company._id,
+        name: company.name,
+        stored: company.currentEmployees ?? null,
+        expected,
+      });
+    }
+  }
+
+  // soft-deleted assets too, so a restore brings back a correct count
+  const assetCursor = assets.find(scope).project({
+    name: 1,
+    companyId: 1,
+    quantity: 1,
+    availableQuantity: 1,
+    bookable: 1,
+  });
+  for await (const asset of assetCursor) {
+    assetsChecked++;
+    const quantity = asset.quantity ?? 0;
+    const id = String(asset._id);
+    const maintenance = inMaintenance.get(id) || 0;
+    // bookable assets keep every unit not in maintenance; bookings are
+    // checked by date
+    const held = asset.bookable
+      ? maintenance
+      : (out.get(id) || 0) + (inRepair.get(id) || 0) + maintenance;
+    const expected = Math.max(quantity - held, 0);
+
+    if (asset.availableQuantity !== expected || held > quantity) {
+      discrepancies.push({
+        collection: "assets",
+        field: "availableQuantity",
+        _id: asset._id,
+        companyId: asset.companyId,
+        name: asset.name,
+        stored: asset.availableQuantity ?? null,
+        expected,
+        // quantity itself is wrong; only a person can say which is right
+        ...(held > quantity && {
+          warning: `${held} unit(s) are out but quantity is ${quantity}`,
+        }),
+      });
+    }
+  }
+
+  let applied = 0;
+  let skipped = 0;
+  if (apply) {
+    for (const item of discrepancies) {
+      if (item.stored === item.expected) continue;
+
+      const collection = item.collection === "companies" ? companies : assets;
+      const result = await collection.updateOne(
+        { _id: item._id, [item.field]: item.stored ?? null },
+        { $set: { [item.field]: item.expected, updatedAt: new Date() } }
+      );
+      if (!result.modifiedCount) {
+        item.skipped = true;
+        skipped++;
+        continue;
+      }
+
+      applied++;
+      await db.collection("auditLog").insertOne({
+        companyId: item.companyId,
+        actor,
+        action: "counters.reconcile",
+        targetType: item.collection === "companies" ? "company" : "asset",
+        targetId: item._id,
+        before: { [item.field]: item.stored },
+        after: { [item.field]: item.expected },
+        createdAt: new Date(),
+      });
+    }
+  }
+
+  return {
+    dryRun: !apply,
+    checked: { companies: companiesChecked, assets: assetsChecked },
+    discrepancies,
+    applied,
+    skipped,
+  };
+};
+
+module.exports = { ACTIVE_ASSIGNMENT_STATUSES, reconcileCounters };